@@ -0,0 +1,194 @@
+/**
+ * Dashboard access layer — per-user passphrases and roles.
+ *
+ * Shared by index.html (loaded as a plain <script>, exposes window.SVAccess)
+ * and Node scripts (require/import), e.g. scripts/add-user.mjs.
+ *
+ * Users live in config/users.json. Each entry stores a PBKDF2-SHA256 verifier
+ * of the passphrase, never the passphrase itself, so nothing secret ships in
+ * the static bundle. Sessions expire after SESSION_TTL_MS.
+ *
+ * Sessions are signed: each user also has an ECDSA P-256 key pair, with the
+ * public half in users.json (`session_public_key`) and the private half
+ * wrapped with their passphrase (`wrapped_session_key`). Logging in unwraps it
+ * to sign { username, role, profile, users, expires_at }; a restored session
+ * only holds if that signature verifies against the user's current entry and
+ * role, so editing the saved session (role, expiry) in devtools logs you out.
+ *
+ * Note: the site is static, so roles decide what the dashboard renders —
+ * they are not a server-side permission check on the data files.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SVAccess = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const PBKDF2_ITERATIONS = 310000;
+  const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+  const SESSION_STORAGE_KEY = 'sv_session';
+
+  // Sections gate blocks of the dashboard; tabs gate the top-level navigation.
+  //   sales       — sales counts, booked calls, revenue by day/offer, sales table
+  //   commissions — marketing + sales-team rev share
+  //   finance     — profit, expenses, ad spend, fixed costs, Whop/agency in combined totals
+  //   traffic     — website sessions
+  //   agency      — Agency tab and agency profit
+  //   data        — Data Issues panel (sheet rows rejected or coerced on load)
+  // The Customers tab (LTV, purchase paths, cohorts) shows sales data, so it follows `sales`;
+  // so does the Funnel tab, whose session counts and ad-spend costs still need `traffic` / `finance`.
+  const ROLES = {
+    owner: {
+      label: 'Owner',
+      tabs: ['dashboard', 'customers', 'funnel', 'agency'],
+      sections: ['sales', 'commissions', 'finance', 'traffic', 'agency', 'data'],
+    },
+    sales_manager: {
+      label: 'Sales Manager',
+      tabs: ['dashboard', 'customers', 'funnel'],
+      sections: ['sales', 'commissions'],
+    },
+    agency_manager: {
+      label: 'Agency Manager',
+      tabs: ['agency'],
+      sections: ['agency'],
+    },
+  };
+
+  const subtle = () => globalThis.crypto.subtle;
+
+  function toHex(bytes) {
+    return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function fromHex(hex) {
+    const out = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return out;
+  }
+
+  /**
+   * Stretch a passphrase into 64 bytes: the first half becomes the stored
+   * verifier (after SHA-256), the second half is a per-user key other modules
+   * can use to unwrap secrets shared with that user.
+   */
+  async function deriveKeys(passphrase, saltHex, iterations) {
+    const base = await subtle().importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await subtle().deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(saltHex), iterations },
+      base,
+      512
+    ));
+    const verifier = toHex(await subtle().digest('SHA-256', bits.slice(0, 32)));
+    return { verifier, userKey: bits.slice(32) };
+  }
+
+  const SIGNING = { name: 'ECDSA', namedCurve: 'P-256' };
+  const SIGNATURE = { name: 'ECDSA', hash: 'SHA-256' };
+
+  // AES-GCM with the user's passphrase-derived key → "<iv hex>:<ciphertext hex>"
+  async function wrapBytes(userKeyBytes, bytes) {
+    const key = await subtle().importKey('raw', userKeyBytes, 'AES-GCM', false, ['encrypt']);
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+    return toHex(iv) + ':' + toHex(await subtle().encrypt({ name: 'AES-GCM', iv }, key, bytes));
+  }
+
+  async function unwrapBytes(userKeyBytes, wrapped) {
+    const [ivHex, ctHex] = String(wrapped).split(':');
+    const key = await subtle().importKey('raw', userKeyBytes, 'AES-GCM', false, ['decrypt']);
+    return subtle().decrypt({ name: 'AES-GCM', iv: fromHex(ivHex) }, key, fromHex(ctHex));
+  }
+
+  async function createUser(username, role, passphrase) {
+    if (!ROLES[role]) throw new Error(`Unknown role "${role}" (expected one of: ${Object.keys(ROLES).join(', ')})`);
+    const salt = toHex(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+    const { verifier, userKey } = await deriveKeys(passphrase, salt, PBKDF2_ITERATIONS);
+    const pair = await subtle().generateKey(SIGNING, true, ['sign', 'verify']);
+    return {
+      username,
+      role,
+      salt,
+      iterations: PBKDF2_ITERATIONS,
+      verifier,
+      session_public_key: toHex(await subtle().exportKey('spki', pair.publicKey)),
+      wrapped_session_key: await wrapBytes(userKey, await subtle().exportKey('pkcs8', pair.privateKey)),
+    };
+  }
+
+  /**
+   * Check a passphrase against config/users.json entries.
+   * Returns { user, userKey } on success, null otherwise.
+   */
+  async function verifyUser(users, username, passphrase) {
+    const user = (users || []).find(u => u.username.toLowerCase() === String(username).trim().toLowerCase());
+    if (!user || !ROLES[user.role]) return null;
+    const { verifier, userKey } = await deriveKeys(passphrase, user.salt, user.iterations || PBKDF2_ITERATIONS);
+    return verifier === user.verifier ? { user, userKey } : null;
+  }
+
+  // The signed part of a session, in a fixed field order
+  const sessionPayload = (s) => new TextEncoder().encode(JSON.stringify(
+    [s.username, s.role, s.profile, s.users, s.expires_at]
+  ));
+
+  /**
+   * Sign a session for a verifyUser() match. `sources`: the resolved data
+   * profile (lib/sources.js) the user logged in against. The session records
+   * it, so it can't be carried over to another profile or user list — e.g.
+   * from the local fixtures to live data.
+   */
+  async function createSession({ user, userKey }, sources, now = Date.now()) {
+    if (!user.wrapped_session_key || !user.session_public_key) {
+      throw new Error(`User "${user.username}" has no session key — re-add them with scripts/add-user.mjs`);
+    }
+    const privateKey = await subtle().importKey('pkcs8', await unwrapBytes(userKey, user.wrapped_session_key), SIGNING, false, ['sign']);
+    const session = {
+      username: user.username,
+      role: user.role,
+      profile: sources.profile,
+      users: sources.urls.users,
+      expires_at: now + SESSION_TTL_MS,
+    };
+    session.sig = toHex(await subtle().sign(SIGNATURE, privateKey, sessionPayload(session)));
+    return session;
+  }
+
+  /**
+   * A saved session holds only if it hasn't expired, belongs to `sources`, its
+   * user is still in `users` with the same role, and its signature verifies
+   * against that user's public key.
+   */
+  async function isSessionValid(session, sources, users, now = Date.now()) {
+    if (!(session && ROLES[session.role] && session.expires_at > now && session.sig &&
+      sources && session.profile === sources.profile && session.users === sources.urls.users)) return false;
+    const user = (users || []).find(u => u.username === session.username);
+    if (!user || user.role !== session.role || !user.session_public_key) return false;
+    try {
+      const publicKey = await subtle().importKey('spki', fromHex(user.session_public_key), SIGNING, false, ['verify']);
+      return await subtle().verify(SIGNATURE, publicKey, fromHex(session.sig), sessionPayload(session));
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function can(role, section) {
+    return !!ROLES[role] && ROLES[role].sections.includes(section);
+  }
+
+  function tabsFor(role) {
+    return ROLES[role] ? ROLES[role].tabs : [];
+  }
+
+  return {
+    ROLES,
+    SESSION_TTL_MS,
+    SESSION_STORAGE_KEY,
+    toHex,
+    fromHex,
+    deriveKeys,
+    createUser,
+    verifyUser,
+    createSession,
+    isSessionValid,
+    can,
+    tabsFor,
+  };
+});
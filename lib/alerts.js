@@ -0,0 +1,208 @@
+/**
+ * Business alerts — rules from config/alerts.json, evaluated after each
+ * scheduled sync.
+ *
+ * Rule types (every rule has a unique `id`; `label` is optional):
+ *   no_sale       no sale from `sources` (ledger sources, default Kajabi + sheet) in `hours`
+ *   kpi_below     a lib/kpis.js metric over a dashboard `range` below `min`;
+ *                 metric "roas" is info revenue ÷ ad spend (skipped when there's no spend)
+ *   no_payout     no distribution payout (API or sheet) in `days`
+ *   refund_spike  Whop refunds of the last `days` at least `min_amount` and more than
+ *                 `factor` × the average for that many days over the `baseline_days` before;
+ *                 refunds count on the day they were made (Whop `refunded_at`), whatever the
+ *                 payment date, and refunds without that date are left out
+ *
+ * evaluate() gives one result per rule; scripts/check-alerts.mjs turns firing
+ * results into GitHub issues (one per rule, found again by the marker in its
+ * body, closed once the rule clears) or a digest file.
+ *
+ * Used by scripts/check-alerts.mjs.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./periods.js'));
+  else root.SVAlerts = factory(root.SVPeriods);
+})(typeof self !== 'undefined' ? self : this, function (Periods) {
+  const DEFAULT_CONFIG = {
+    output: 'issues',          // issues | digest
+    digest_path: 'alerts.md',
+    issue_label: 'alert',
+    rules: [],
+  };
+  const HOUR_MS = 60 * 60 * 1000;
+
+  const METRIC_LABELS = {
+    revenue: 'Info revenue',
+    combinedRevenue: 'Combined revenue',
+    whopNet: 'Whop net revenue',
+    agencyGross: 'Agency payouts',
+    combinedProfit: 'Combined profit',
+    salesCount: 'Sales',
+    calls: 'Booked calls',
+    roas: 'ROAS',
+  };
+  const RANGE_LABELS = { today: 'today', yesterday: 'yesterday', '7d': 'the last 7 days', '30d': 'the last 30 days' };
+
+  function withDefaults(config) {
+    return { ...DEFAULT_CONFIG, ...(config || {}) };
+  }
+
+  const usd = (n) => `$${(Math.round(n * 100) / 100).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+  function formatMetric(metric, value) {
+    if (metric === 'roas') return `${value.toFixed(2)}x`;
+    if (metric === 'salesCount' || metric === 'calls') return String(value);
+    return usd(value);
+  }
+
+  function defaultLabel(rule) {
+    switch (rule.type) {
+      case 'no_sale': return `No sale in ${rule.hours} hours`;
+      case 'kpi_below': return `${METRIC_LABELS[rule.metric] || rule.metric} for ${RANGE_LABELS[rule.range] || rule.range} below ${formatMetric(rule.metric, rule.min)}`;
+      case 'no_payout': return `No distribution payout in ${rule.days} days`;
+      case 'refund_spike': return `Whop refunds spiking (last ${rule.days} days)`;
+      default: return rule.id;
+    }
+  }
+
+  const CHECKS = {
+    no_sale(rule, ctx) {
+      const sources = rule.sources || ['kajabi', 'sheet'];
+      const latest = ctx.ledger
+        .filter(e => e.stream === 'info' && sources.includes(e.source))
+        .reduce((max, e) => (e.ts > max ? e.ts : max), '');
+      if (!latest) return { firing: true, value: null, summary: `No sales from ${sources.join(' / ')} on record.` };
+      const hours = (ctx.now - new Date(latest)) / HOUR_MS;
+      return {
+        firing: hours >= rule.hours,
+        value: Math.floor(hours),
+        summary: `Last sale ${latest.replace('T', ' ').slice(0, 16)} UTC; alert after ${rule.hours} hours without one.`,
+      };
+    },
+
+    kpi_below(rule, ctx) {
+      const bounds = Periods.rangeBounds(rule.range || 'yesterday', ctx.today);
+      const k = ctx.kpis(bounds);
+      const where = `${bounds.from === bounds.to ? bounds.from : `${bounds.from} → ${bounds.to}`}`;
+      let value = k[rule.metric];
+      if (rule.metric === 'roas') {
+        if (!k.adSpend) return { firing: false, value: null, summary: `No ad spend recorded for ${where}.` };
+        value = k.revenue / k.adSpend;
+      }
+      if (typeof value !== 'number') throw new Error(`alert ${rule.id}: unknown metric "${rule.metric}"`);
+      return {
+        firing: value < rule.min,
+        value,
+        summary: `${METRIC_LABELS[rule.metric] || rule.metric} for ${where}: ${formatMetric(rule.metric, value)} (minimum ${formatMetric(rule.metric, rule.min)}).`,
+      };
+    },
+
+    no_payout(rule, ctx) {
+      const latest = [...(ctx.data.distPayouts || []), ...(ctx.data.sheetDistPayouts || [])]
+        .reduce((max, p) => (p.date > max ? p.date : max), '');
+      if (!latest) return { firing: true, value: null, summary: 'No distribution payouts on record.' };
+      const days = Periods.dayCount({ from: latest, to: ctx.today }) - 1;
+      return {
+        firing: days >= rule.days,
+        value: days,
+        summary: `Last distribution payout ${latest}; alert after ${rule.days} days without one.`,
+      };
+    },
+
+    refund_spike(rule, ctx) {
+      const days = rule.days || 7;
+      const baselineDays = rule.baseline_days || 28;
+      const recent = { from: Periods.addDays(ctx.today, 1 - days), to: ctx.today };
+      const baseline = { from: Periods.addDays(recent.from, -baselineDays), to: Periods.addDays(recent.from, -1) };
+      const refunds = (ctx.data.whopPayments || []).filter(p => p.refunded > 0);
+      const undated = refunds.filter(p => !p.refundedDate).length;
+      const refunded = (bounds) => refunds
+        .filter(p => p.refundedDate && Periods.inRange(p.refundedDate, bounds))
+        .reduce((sum, p) => sum + p.refunded, 0);
+      const value = refunded(recent);
+      const usual = refunded(baseline) * days / baselineDays;
+      return {
+        firing: value >= (rule.min_amount || 0) && value > (rule.factor || 3) * usual,
+        value,
+        summary: `Whop refunds ${recent.from} → ${recent.to}: ${usd(value)}, against a usual ${usd(usual)} per ${days} days ` +
+          `(${baseline.from} → ${baseline.to}); alert above ${rule.factor || 3}× and ${usd(rule.min_amount || 0)}.` +
+          (undated ? ` ${undated} refund${undated !== 1 ? 's' : ''} without a refund date left out.` : ''),
+      };
+    },
+  };
+
+  /**
+   * One result per rule: { id, type, label, firing, value, summary, error }.
+   * `ctx`: { now (Date), today (PST YYYY-MM-DD), ledger, data (Kpis working sets),
+   *          kpis(bounds) → Kpis.compute() result }
+   * A rule that can't be evaluated comes back with `error` and firing false.
+   */
+  function evaluate(config, ctx) {
+    const seen = new Set();
+    return withDefaults(config).rules.filter(rule => rule.enabled !== false).map(rule => {
+      const base = { id: rule.id, type: rule.type, label: rule.label || defaultLabel(rule) };
+      try {
+        if (!rule.id) throw new Error('rule has no id');
+        if (seen.has(rule.id)) throw new Error(`duplicate rule id "${rule.id}"`);
+        seen.add(rule.id);
+        const check = CHECKS[rule.type];
+        if (!check) throw new Error(`unknown rule type "${rule.type}"`);
+        return { ...base, ...check(rule, ctx), error: null };
+      } catch (err) {
+        return { ...base, firing: false, value: null, summary: '', error: err.message };
+      }
+    });
+  }
+
+  // Hidden marker that ties an issue to its rule
+  const marker = (id) => `<!-- alert-rule:${id} -->`;
+
+  function ruleIdOf(issueBody) {
+    const m = String(issueBody || '').match(/<!-- alert-rule:(.+?) -->/);
+    return m ? m[1] : null;
+  }
+
+  function issueTitle(result) {
+    return `⚠️ Alert: ${result.label}`;
+  }
+
+  // Nothing that moves with the clock (no "N hours ago", no check date), so check-alerts.mjs only
+  // edits an open issue when what it reports actually changed
+  function issueBody(result) {
+    return [
+      marker(result.id),
+      `**${result.label}**`,
+      '',
+      result.summary,
+      '',
+      `_Rule \`${result.id}\` in config/alerts.json — this issue closes itself once the condition clears._`,
+    ].join('\n');
+  }
+
+  function toMarkdown(results, today) {
+    const firing = results.filter(r => r.firing);
+    const broken = results.filter(r => r.error);
+    const out = [`## Alerts (${today})`, ''];
+    if (!firing.length) out.push('No alerts firing.', '');
+    firing.forEach(r => out.push(`- ⚠️ **${r.label}** — ${r.summary}`));
+    if (firing.length) out.push('');
+    const clear = results.filter(r => !r.firing && !r.error);
+    if (clear.length) {
+      out.push('<details><summary>Clear</summary>', '');
+      clear.forEach(r => out.push(`- ${r.label} — ${r.summary}`));
+      out.push('', '</details>', '');
+    }
+    broken.forEach(r => out.push(`- ✖ Rule \`${r.id}\` couldn't be evaluated: ${r.error}`));
+    if (broken.length) out.push('');
+    return out.join('\n');
+  }
+
+  return {
+    DEFAULT_CONFIG,
+    withDefaults,
+    evaluate,
+    ruleIdOf,
+    issueTitle,
+    issueBody,
+    toMarkdown,
+  };
+});
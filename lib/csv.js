@@ -0,0 +1,81 @@
+/**
+ * CSV parsing for the Google Sheets exports (gviz tq?tqx=out:csv).
+ *
+ * RFC 4180: fields may be quoted, quoted fields may contain commas, line
+ * breaks and doubled quotes (""), and records end in CRLF or LF.
+ *
+ * Shared by index.html (window.SVCsv) and the Node build scripts so both
+ * read the sheets the same way. Per-sheet schemas live in lib/sheets.js.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SVCsv = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  /**
+   * Records as arrays of raw field strings, with each record's 1-based line
+   * number in the file (`line`). Completely empty lines are skipped.
+   */
+  function parseRecords(csv) {
+    const text = String(csv || '').replace(/^\uFEFF/, '');
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;   // inside a quoted field
+    let touched = false;  // current record has any content (so "" alone still counts)
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => { fields.push(field); field = ''; };
+    const endRecord = () => {
+      endField();
+      if (touched) {
+        const record = fields;
+        record.line = recordLine;
+        records.push(record);
+      }
+      fields = [];
+      touched = false;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"') {
+          if (text[i + 1] === '"') { field += '"'; i++; }
+          else quoted = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+        continue;
+      }
+      if (char === '"') { quoted = true; touched = true; }
+      else if (char === ',') { endField(); touched = true; }
+      else if (char === '\r' || char === '\n') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        endRecord();
+        line++;
+        recordLine = line;
+      } else {
+        field += char;
+        touched = true;
+      }
+    }
+    if (touched) endRecord();
+    return records;
+  }
+
+  // Rows as objects keyed by lower-cased, trimmed header
+  function parseCSV(csv) {
+    const records = parseRecords(csv);
+    if (records.length < 2) return [];
+    const headers = records[0].map(h => h.trim().toLowerCase());
+    return records.slice(1).filter(values => values.some(v => v.trim())).map(values => {
+      const row = {};
+      headers.forEach((h, idx) => row[h] = (values[idx] || '').trim());
+      return row;
+    });
+  }
+
+  return { parseRecords, parseCSV };
+});
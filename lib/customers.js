@@ -0,0 +1,191 @@
+/**
+ * Customer analytics over the revenue ledger (lib/ledger.js).
+ *
+ * Groups Kajabi, Whop and Clarity Pay entries by buyer (`customer`, the keyed
+ * email hash from lib/pii.js) and derives lifetime value, repeat purchases,
+ * time between purchases, upgrade paths and monthly acquisition cohorts.
+ *
+ * Used by the Customers tab in index.html (window.SVCustomers).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SVCustomers = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const CUSTOMER_STREAMS = ['info', 'whop-membership', 'clarity'];
+  // Same cut-off the sales-team commission uses (revenue > 999)
+  const HIGH_TICKET_MIN = 1000;
+  const HIGH_TICKET_LABEL = 'High-ticket coaching';
+  const MAX_PATH_STEPS = 4;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const round2 = (n) => Math.round(n * 100) / 100;
+
+  function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  function average(values) {
+    return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+  }
+
+  // Coaching is sold under several product names; collapse them into one step
+  function stepLabel(entry) {
+    if (entry.stream === 'clarity' || entry.gross >= HIGH_TICKET_MIN) return HIGH_TICKET_LABEL;
+    return entry.product || 'Unknown offer';
+  }
+
+  // Whole months between two YYYY-MM keys
+  function monthOffset(fromMonth, toMonth) {
+    const [fy, fm] = fromMonth.split('-').map(Number);
+    const [ty, tm] = toMonth.split('-').map(Number);
+    return (ty - fy) * 12 + (tm - fm);
+  }
+
+  /**
+   * One record per buyer, purchases oldest first. Entries without a customer
+   * key (e.g. sheet rows with no email) can't be joined and are left out.
+   */
+  function groupByCustomer(ledger) {
+    const byCustomer = new Map();
+    (ledger || []).forEach(e => {
+      if (!e.customer || !CUSTOMER_STREAMS.includes(e.stream) || !(e.gross > 0)) return;
+      if (!byCustomer.has(e.customer)) byCustomer.set(e.customer, []);
+      byCustomer.get(e.customer).push(e);
+    });
+
+    return [...byCustomer.entries()].map(([customer, entries]) => {
+      const purchases = entries.sort((a, b) => a.ts.localeCompare(b.ts));
+      const ltv = round2(purchases.reduce((s, e) => s + e.gross - (e.refunds || 0), 0));
+      const gaps = [];
+      for (let i = 1; i < purchases.length; i++) {
+        gaps.push((Date.parse(purchases[i].ts) - Date.parse(purchases[i - 1].ts)) / DAY_MS);
+      }
+      // Path = distinct offers in the order they were first bought
+      const path = [];
+      purchases.forEach(e => {
+        const label = stepLabel(e);
+        if (!path.includes(label)) path.push(label);
+      });
+      return {
+        customer,
+        first_date: purchases[0].date,
+        last_date: purchases[purchases.length - 1].date,
+        cohort: purchases[0].date.slice(0, 7),
+        purchases,
+        count: purchases.length,
+        ltv,
+        gaps,
+        path,
+      };
+    });
+  }
+
+  function topPaths(customers, limit) {
+    const counts = new Map();
+    customers.filter(c => c.path.length > 1).forEach(c => {
+      const steps = c.path.slice(0, MAX_PATH_STEPS);
+      const key = steps.join(' → ');
+      const row = counts.get(key) || { steps, customers: 0, revenue: 0 };
+      row.customers += 1;
+      row.revenue += c.ltv;
+      counts.set(key, row);
+    });
+    return [...counts.values()]
+      .map(r => ({ ...r, revenue: round2(r.revenue) }))
+      .sort((a, b) => b.customers - a.customers || b.revenue - a.revenue)
+      .slice(0, limit);
+  }
+
+  // Every consecutive step pair, with the typical wait between them
+  function topTransitions(customers, limit) {
+    const pairs = new Map();
+    customers.forEach(c => {
+      const firstBought = new Map();
+      c.purchases.forEach(e => {
+        const label = stepLabel(e);
+        if (!firstBought.has(label)) firstBought.set(label, Date.parse(e.ts));
+      });
+      for (let i = 1; i < c.path.length; i++) {
+        const from = c.path[i - 1];
+        const to = c.path[i];
+        const key = from + '\u0000' + to;
+        const row = pairs.get(key) || { from, to, customers: 0, days: [] };
+        row.customers += 1;
+        row.days.push((firstBought.get(to) - firstBought.get(from)) / DAY_MS);
+        pairs.set(key, row);
+      }
+    });
+    return [...pairs.values()]
+      .map(({ days, ...r }) => ({ ...r, medianDays: round2(median(days)) }))
+      .sort((a, b) => b.customers - a.customers)
+      .slice(0, limit);
+  }
+
+  /**
+   * Monthly acquisition cohorts: buyers grouped by the month of their first
+   * purchase, with revenue from that cohort in each month since (`months[0]`
+   * is the acquisition month).
+   */
+  function cohorts(customers) {
+    const byMonth = new Map();
+    customers.forEach(c => {
+      const row = byMonth.get(c.cohort) || { month: c.cohort, customers: 0, repeat: 0, revenue: 0, months: [] };
+      row.customers += 1;
+      if (c.count > 1) row.repeat += 1;
+      c.purchases.forEach(e => {
+        const offset = monthOffset(c.cohort, e.date.slice(0, 7));
+        row.months[offset] = (row.months[offset] || 0) + e.gross - (e.refunds || 0);
+      });
+      row.revenue += c.ltv;
+      byMonth.set(c.cohort, row);
+    });
+    return [...byMonth.values()]
+      .sort((a, b) => a.month.localeCompare(b.month))
+      .map(r => ({
+        month: r.month,
+        customers: r.customers,
+        repeatRate: r.repeat / r.customers,
+        revenue: round2(r.revenue),
+        ltv: round2(r.revenue / r.customers),
+        months: Array.from(r.months, v => round2(v || 0)),
+      }));
+  }
+
+  /**
+   * Everything the Customers tab shows, from one pass over the ledger.
+   */
+  function analyze(ledger, { limit = 10 } = {}) {
+    const customers = groupByCustomer(ledger);
+    const ltvs = customers.map(c => c.ltv);
+    const gaps = customers.flatMap(c => c.gaps);
+    const repeat = customers.filter(c => c.count > 1).length;
+    return {
+      summary: {
+        customers: customers.length,
+        repeatCustomers: repeat,
+        repeatRate: customers.length ? repeat / customers.length : 0,
+        revenue: round2(ltvs.reduce((s, v) => s + v, 0)),
+        avgLtv: customers.length ? round2(average(ltvs)) : 0,
+        medianLtv: customers.length ? round2(median(ltvs)) : 0,
+        avgDaysBetween: gaps.length ? round2(average(gaps)) : null,
+        medianDaysBetween: gaps.length ? round2(median(gaps)) : null,
+      },
+      topCustomers: [...customers].sort((a, b) => b.ltv - a.ltv).slice(0, limit),
+      paths: topPaths(customers, limit),
+      transitions: topTransitions(customers, limit),
+      cohorts: cohorts(customers),
+    };
+  }
+
+  return {
+    CUSTOMER_STREAMS,
+    HIGH_TICKET_MIN,
+    HIGH_TICKET_LABEL,
+    stepLabel,
+    groupByCustomer,
+    analyze,
+  };
+});
@@ -0,0 +1,90 @@
+/**
+ * Fixed costs (base salaries + fixed spend) as dated line items.
+ *
+ * config/fixed-costs.json lists each item with a monthly amount, a `start` date
+ * and an optional `end` date (inclusive). A salary change ends the old item and
+ * starts a new one, so past periods keep the amount that was actually paid.
+ *
+ * Each day carries monthly ÷ (days in that calendar month), so a full month
+ * always adds up to exactly the monthly amount — February included.
+ *
+ * Shared by index.html (window.SVFixedCosts) and Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SVFixedCosts = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Buckets the rev-share comments in index.html refer to
+  const DEFAULT_CATEGORIES = ['Sales', 'Marketing', 'Fulfillment', 'Software'];
+
+  function normalize(config) {
+    const items = (config && Array.isArray(config.items) ? config.items : []).map(item => ({
+      name: item.name,
+      category: item.category || 'Other',
+      monthly: parseFloat(item.monthly) || 0,
+      start: item.start || '0000-01-01',
+      end: item.end || null,
+    }));
+    const categories = [...((config && config.categories) || DEFAULT_CATEGORIES)];
+    items.forEach(item => { if (!categories.includes(item.category)) categories.push(item.category); });
+    return { categories, items };
+  }
+
+  function daysInMonth(date) {
+    const [y, m] = date.split('-').map(Number);
+    return new Date(Date.UTC(y, m, 0)).getUTCDate();
+  }
+
+  function nextDay(date) {
+    const d = new Date(date + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + 1);
+    return d.toISOString().split('T')[0];
+  }
+
+  const isActive = (item, date) => item.start <= date && (!item.end || date <= item.end);
+
+  /**
+   * Cost of every item between `from` and `to` (YYYY-MM-DD, inclusive), by item
+   * and by category. Empty when to < from.
+   */
+  function prorate(items, from, to) {
+    // Days of the range, grouped by calendar month
+    const months = new Map();
+    let days = 0;
+    for (let date = from; date && to && date <= to; date = nextDay(date)) {
+      days++;
+      const month = date.slice(0, 7);
+      if (!months.has(month)) months.set(month, { dim: daysInMonth(date), dates: [] });
+      months.get(month).dates.push(date);
+    }
+
+    const byItem = [];
+    const byCategory = {};
+    items.forEach(item => {
+      let amount = 0;
+      months.forEach(({ dim, dates }) => {
+        const active = dates.filter(date => isActive(item, date)).length;
+        if (active) amount += item.monthly * active / dim;
+      });
+      if (amount === 0) return;
+      byItem.push({ ...item, amount });
+      byCategory[item.category] = (byCategory[item.category] || 0) + amount;
+    });
+    const total = byItem.reduce((s, row) => s + row.amount, 0);
+    return { days, total, byCategory, byItem };
+  }
+
+  // Monthly run-rate of the items in force on `date`
+  function monthlyTotal(items, date) {
+    return items.filter(item => isActive(item, date)).reduce((s, item) => s + item.monthly, 0);
+  }
+
+  return {
+    DEFAULT_CATEGORIES,
+    normalize,
+    daysInMonth,
+    isActive,
+    prorate,
+    monthlyTotal,
+  };
+});
@@ -0,0 +1,167 @@
+/**
+ * Month-end forecast: month-to-date actuals plus a projection of the days left.
+ *
+ *   Info revenue, Whop net   recent daily level (last `level_days`) × the weekday
+ *                            pattern of the last `lookback_days`
+ *   Agency gross             the same, so distribution payouts follow their usual
+ *                            cadence (the weekdays they land on) and size
+ *   Combined profit          MTD profit + each projected line after its cost
+ *                            rate (commissions, Clarity Pay fee, manager cut over
+ *                            the last `rate_days`), less ad spend at its recent
+ *                            daily rate and the fixed costs still to accrue
+ *
+ * Every line comes with a band (`low` / `high`, roughly 80%) from how far the
+ * daily values strayed from that pattern. Today counts as actual, so the
+ * projection covers tomorrow through month end.
+ *
+ * Used by the forecast panel in index.html (window.SVForecast).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./periods.js'), require('./fixed-costs.js'));
+  } else {
+    root.SVForecast = factory(root.SVPeriods, root.SVFixedCosts);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Periods, FixedCosts) {
+  const DEFAULT_OPTIONS = {
+    lookback_days: 56,   // weekday pattern and spread
+    level_days: 28,      // recent daily level
+    rate_days: 90,       // cost rates
+  };
+  const Z_80 = 1.28;
+  const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  const round2 = (n) => Math.round(n * 100) / 100;
+  const sum = (values) => values.reduce((s, v) => s + v, 0);
+  const mean = (values) => (values.length ? sum(values) / values.length : 0);
+  const ratio = (a, b) => (b > 0 ? a / b : 0);
+  const weekday = (date) => new Date(date + 'T00:00:00Z').getUTCDay();
+
+  function stdev(values) {
+    if (values.length < 2) return 0;
+    const m = mean(values);
+    return Math.sqrt(sum(values.map(v => (v - m) ** 2)) / (values.length - 1));
+  }
+
+  function datesIn(bounds) {
+    const dates = [];
+    for (let d = bounds.from; d <= bounds.to; d = Periods.addDays(d, 1)) dates.push(d);
+    return dates;
+  }
+
+  /**
+   * Project a daily series over `remaining` dates.
+   * `history`: [{ date, value }] → { expected, halfWidth, factors }
+   */
+  function projectDaily(history, remaining, levelDays) {
+    const overall = mean(history.map(h => h.value));
+    const factors = WEEKDAYS.map((_, w) => {
+      const onDay = history.filter(h => weekday(h.date) === w).map(h => h.value);
+      return overall > 0 && onDay.length ? mean(onDay) / overall : 1;
+    });
+    const level = mean(history.slice(-levelDays).map(h => h.value));
+    const spread = stdev(history.map(h => h.value - overall * factors[weekday(h.date)]));
+    return {
+      expected: sum(remaining.map(d => level * factors[weekday(d)])),
+      halfWidth: Z_80 * spread * Math.sqrt(remaining.length),
+      factors,
+    };
+  }
+
+  // How often distribution payouts land, by weekday, and how many more to expect this month
+  function payoutCadence(history, remaining) {
+    const paid = history.filter(h => h.value > 0);
+    const odds = WEEKDAYS.map((_, w) => {
+      const onDay = history.filter(h => weekday(h.date) === w);
+      return onDay.length ? onDay.filter(h => h.value > 0).length / onDay.length : 0;
+    });
+    return {
+      perWeek: history.length ? round2(paid.length / (history.length / 7)) : 0,
+      weekdays: WEEKDAYS.filter((_, w) => odds[w] >= 0.5),
+      last: paid.length ? paid[paid.length - 1].date : null,
+      expected: Math.round(sum(remaining.map(d => odds[weekday(d)]))),
+    };
+  }
+
+  // Revenue lines can't lose what's already in
+  function revenueLine(actual, projection) {
+    return {
+      actual: round2(actual),
+      projected: round2(actual + projection.expected),
+      low: round2(actual + Math.max(0, projection.expected - projection.halfWidth)),
+      high: round2(actual + projection.expected + projection.halfWidth),
+    };
+  }
+
+  /**
+   * Forecast for the calendar month containing `today`.
+   *
+   * `ctx`: { today (PST YYYY-MM-DD), kpis(bounds) → Kpis.compute() result,
+   *          fixedCostItems, dataStart }
+   * → { month, from, to, daysElapsed, daysLeft, basis, weekdayFactors,
+   *     lines: { revenue, whopNet, agencyGross, combinedProfit } ({ actual, projected, low, high }),
+   *     payouts: { perWeek, weekdays, last, expected }, remaining: { adSpend, fixedCosts } }
+   */
+  function monthEnd({ today, kpis, fixedCostItems = [], dataStart = '0000-01-01' }, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const from = `${today.slice(0, 7)}-01`;
+    const to = Periods.addDays(Periods.shiftMonths(from, 1), -1);
+    const remaining = today < to ? datesIn({ from: Periods.addDays(today, 1), to }) : [];
+    const yesterday = Periods.addDays(today, -1);
+
+    // Daily history up to yesterday, never before the data starts
+    const basis = Periods.clampStart({ from: Periods.addDays(today, -opts.lookback_days), to: yesterday }, dataStart);
+    const history = basis ? datesIn(basis).map(date => ({ date, ...kpis({ from: date, to: date }) })) : [];
+    const series = (key) => history.map(h => ({ date: h.date, value: h[key] }));
+
+    const mtd = kpis({ from, to: today });
+    const revenue = projectDaily(series('revenue'), remaining, opts.level_days);
+    const whop = projectDaily(series('whopNet'), remaining, opts.level_days);
+    const adSpend = mean(series('adSpend').slice(-opts.level_days).map(h => h.value)) * remaining.length;
+    const agency = projectDaily(series('agencyGross'), remaining, opts.level_days);
+    const fixedCosts = remaining.length ? FixedCosts.prorate(fixedCostItems, remaining[0], to).total : 0;
+
+    // What's kept of each projected dollar, from the recent cost rates
+    const rateWindow = Periods.clampStart({ from: Periods.addDays(today, -opts.rate_days), to: yesterday }, dataStart);
+    const r = rateWindow ? kpis(rateWindow) : null;
+    const keep = {
+      info: 1 - (r ? ratio(r.infoMarketingComm + r.infoSalesComm, r.revenue) : 0),
+      whop: 1 - (r ? ratio(r.whopCommissions + r.clarityPayFee, r.whopNet) : 0),
+      agency: 1 - (r ? ratio(r.managerCut, r.agencyGross) : 0),
+    };
+    const profit = mtd.combinedProfit
+      + revenue.expected * keep.info + whop.expected * keep.whop + agency.expected * keep.agency
+      - adSpend - fixedCosts;
+    const profitHalfWidth = Math.sqrt(
+      (revenue.halfWidth * keep.info) ** 2 + (whop.halfWidth * keep.whop) ** 2 + (agency.halfWidth * keep.agency) ** 2
+    );
+
+    return {
+      month: today.slice(0, 7),
+      from,
+      to,
+      daysElapsed: Periods.dayCount({ from, to: today }),
+      daysLeft: remaining.length,
+      basis,
+      weekdayFactors: WEEKDAYS.map((day, w) => ({ day, factor: round2(revenue.factors[w]) })),
+      lines: {
+        revenue: revenueLine(mtd.revenue, revenue),
+        whopNet: revenueLine(mtd.whopNet, whop),
+        agencyGross: revenueLine(mtd.agencyGross, agency),
+        combinedProfit: {
+          actual: round2(mtd.combinedProfit),
+          projected: round2(profit),
+          low: round2(profit - profitHalfWidth),
+          high: round2(profit + profitHalfWidth),
+        },
+      },
+      payouts: payoutCadence(series('agencyGross'), remaining),
+      remaining: { adSpend: round2(adSpend), fixedCosts: round2(fixedCosts) },
+    };
+  }
+
+  return {
+    DEFAULT_OPTIONS,
+    monthEnd,
+  };
+});
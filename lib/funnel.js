@@ -0,0 +1,135 @@
+/**
+ * Sales funnel: website sessions → booked calls → closed high-ticket sales.
+ *
+ * Calls and sales are joined on the buyer key (`customer`, the keyed email
+ * hash from lib/pii.js). A high-ticket purchase — the same definition the
+ * Customers tab uses — is credited to that buyer's latest call on or before it,
+ * within `match_days`; each call closes at most once. A call counts as closed
+ * even when the purchase lands after the selected range, so the close rate of
+ * a recent range keeps rising until its calls' match windows have passed.
+ *
+ * Used by the Funnel tab in index.html (window.SVFunnel).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./periods.js'), require('./customers.js'));
+  } else {
+    root.SVFunnel = factory(root.SVPeriods, root.SVCustomers);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Periods, Customers) {
+  const DEFAULT_MATCH_DAYS = 90;
+  const LAG_BUCKETS = [
+    { label: 'Same day', max: 0 },
+    { label: '1–7 days', max: 7 },
+    { label: '8–30 days', max: 30 },
+    { label: '31+ days', max: Infinity },
+  ];
+
+  const round2 = (n) => Math.round(n * 100) / 100;
+  const ratio = (a, b) => (b > 0 ? a / b : null);
+  const daysBetween = (from, to) => Periods.dayCount({ from, to }) - 1;
+
+  function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  function isHighTicket(entry) {
+    return Customers.CUSTOMER_STREAMS.includes(entry.stream) && entry.gross > 0 &&
+      (entry.stream === 'clarity' || entry.gross >= Customers.HIGH_TICKET_MIN);
+  }
+
+  /**
+   * Funnel for one { from, to } range.
+   *
+   * `input`: { calls (every booked call: { date, eventType, customer }),
+   *            sessions (website sessions in the range), ledger, adSpend (for the range) }
+   * → { sessions, calls, closed, unmatchable, revenue, rates, costs, lag, byEventType, sales }
+   */
+  function analyze({ calls = [], sessions = 0, ledger = [], adSpend = 0 }, bounds, { matchDays = DEFAULT_MATCH_DAYS } = {}) {
+    const allCalls = calls
+      .map(c => ({ ...c, day: Periods.toISODate(c.date) }))
+      .filter(c => c.day)
+      .sort((a, b) => a.day.localeCompare(b.day));
+    const callsByCustomer = new Map();
+    allCalls.forEach(c => {
+      if (!c.customer) return;
+      if (!callsByCustomer.has(c.customer)) callsByCustomer.set(c.customer, []);
+      callsByCustomer.get(c.customer).push(c);
+    });
+
+    // Credit each purchase to the buyer's latest open call before it
+    const purchases = ledger.filter(e => e.customer && isHighTicket(e)).sort((a, b) => a.date.localeCompare(b.date));
+    const closedBy = new Map();   // call → purchase
+    const purchaseCall = new Map(); // purchase → call
+    purchases.forEach(p => {
+      const call = (callsByCustomer.get(p.customer) || [])
+        .filter(c => c.day <= p.date && daysBetween(c.day, p.date) <= matchDays && !closedBy.has(c))
+        .pop();
+      if (!call) return;
+      closedBy.set(call, p);
+      purchaseCall.set(p, call);
+    });
+
+    const inRange = allCalls.filter(c => Periods.inRange(c.day, bounds));
+    const closedCalls = inRange.filter(c => closedBy.has(c));
+    const lags = closedCalls.map(c => daysBetween(c.day, closedBy.get(c).date));
+    const revenue = round2(closedCalls.reduce((sum, c) => sum + closedBy.get(c).gross, 0));
+
+    const types = new Map();
+    inRange.forEach(c => {
+      const name = c.eventType || 'Unspecified';
+      const t = types.get(name) || { eventType: name, calls: 0, closed: 0, revenue: 0 };
+      t.calls++;
+      if (closedBy.has(c)) {
+        t.closed++;
+        t.revenue += closedBy.get(c).gross;
+      }
+      types.set(name, t);
+    });
+
+    const rangeSales = purchases.filter(p => Periods.inRange(p.date, bounds));
+
+    return {
+      sessions,
+      calls: inRange.length,
+      closed: closedCalls.length,
+      unmatchable: inRange.filter(c => !c.customer).length,
+      revenue,
+      rates: {
+        sessionsToCalls: ratio(inRange.length, sessions),
+        callsToClosed: ratio(closedCalls.length, inRange.length),
+      },
+      costs: {
+        adSpend: round2(adSpend),
+        perCall: ratio(adSpend, inRange.length),
+        perAcquisition: ratio(adSpend, closedCalls.length),
+      },
+      lag: {
+        median: median(lags),
+        average: lags.length ? round2(lags.reduce((s, d) => s + d, 0) / lags.length) : null,
+        buckets: LAG_BUCKETS.map((b, i) => ({
+          label: b.label,
+          count: lags.filter(d => d <= b.max && (i === 0 || d > LAG_BUCKETS[i - 1].max)).length,
+        })),
+      },
+      byEventType: [...types.values()]
+        .map(t => ({ ...t, revenue: round2(t.revenue), rate: ratio(t.closed, t.calls) }))
+        .sort((a, b) => b.calls - a.calls),
+      // High-ticket sales dated in the range, and how many followed a booked call
+      sales: {
+        count: rangeSales.length,
+        revenue: round2(rangeSales.reduce((sum, p) => sum + p.gross, 0)),
+        afterCall: rangeSales.filter(p => purchaseCall.has(p)).length,
+      },
+    };
+  }
+
+  return {
+    DEFAULT_MATCH_DAYS,
+    isHighTicket,
+    analyze,
+  };
+});
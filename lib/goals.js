@@ -0,0 +1,116 @@
+/**
+ * Monthly goals — targets per KPI, progress this month and hit / miss history.
+ *
+ * Goal sets live in config/goals.json, each with an `effective_from` month
+ * (YYYY-MM) and a target per metric. Like the rule sets in lib/rules.js, a set
+ * inherits whatever it leaves out from the set before it, and a month is held
+ * to the set in force that month, so raising a goal never rewrites history.
+ * Set a metric to null to drop its goal from then on.
+ *
+ * Metrics are lib/kpis.js keys (GOAL_METRICS). Actuals use the same numbers as
+ * the dashboard cards: info revenue, Whop net of refunds, booked calls, etc.
+ *
+ * Used by the goal bars and Goal History panel in index.html (window.SVGoals).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./periods.js'));
+  else root.SVGoals = factory(root.SVPeriods);
+})(typeof self !== 'undefined' ? self : this, function (Periods) {
+  const GOAL_METRICS = {
+    revenue: { label: 'Info revenue', money: true },
+    whopNet: { label: 'Whop revenue', money: true },
+    calls: { label: 'Booked calls', money: false },
+    combinedProfit: { label: 'Combined profit', money: true },
+    salesCount: { label: 'Sales', money: false },
+    combinedRevenue: { label: 'Combined revenue', money: true },
+    agencyGross: { label: 'Agency payouts', money: true },
+  };
+
+  const round2 = (n) => Math.round(n * 100) / 100;
+  const monthEnd = (month) => Periods.addDays(Periods.shiftMonths(`${month}-01`, 1), -1);
+
+  /**
+   * Oldest first, each set with every metric it inherits. Unknown metric keys
+   * are dropped; a config without goal sets means no goals.
+   */
+  function normalize(config) {
+    const sets = (config && Array.isArray(config.goal_sets)) ? config.goal_sets : [];
+    const sorted = [...sets]
+      .filter(set => /^\d{4}-\d{2}$/.test(set.effective_from || ''))
+      .sort((a, b) => a.effective_from.localeCompare(b.effective_from));
+    let targets = {};
+    return sorted.map(set => {
+      targets = { ...targets };
+      Object.keys(GOAL_METRICS).forEach(key => {
+        if (set[key] === null) delete targets[key];
+        else if (set[key] !== undefined) targets[key] = parseFloat(set[key]) || 0;
+      });
+      return { effective_from: set.effective_from, label: set.label || '', targets };
+    });
+  }
+
+  // Targets in force for `month` (YYYY-MM); {} before the first set
+  function targetsFor(goalSets, month) {
+    let match = {};
+    for (const set of goalSets) {
+      if (set.effective_from <= month) match = set.targets;
+    }
+    return match;
+  }
+
+  /**
+   * This month's progress per goal, as of `today` (PST YYYY-MM-DD).
+   * `actuals`: Kpis.compute() for the month so far.
+   * → { [metric]: { target, actual, pct, remaining, perDay, onPace } }
+   *   perDay  what each day left (today included) needs to average to hit the target
+   *   onPace  actual ≥ the target's share for the days gone, today included
+   */
+  function progress(goalSets, actuals, today) {
+    const month = today.slice(0, 7);
+    const targets = targetsFor(goalSets, month);
+    const daysInMonth = Periods.dayCount({ from: `${month}-01`, to: monthEnd(month) });
+    const daysLeft = Periods.dayCount({ from: today, to: monthEnd(month) });
+    const elapsed = (daysInMonth - daysLeft + 1) / daysInMonth;
+    const out = {};
+    Object.entries(targets).forEach(([key, target]) => {
+      const actual = actuals[key] || 0;
+      const remaining = Math.max(0, target - actual);
+      out[key] = {
+        target,
+        actual: round2(actual),
+        pct: target > 0 ? actual / target : null,
+        remaining: round2(remaining),
+        perDay: round2(remaining / daysLeft),
+        onPace: actual >= target * elapsed,
+      };
+    });
+    return out;
+  }
+
+  /**
+   * Hit / miss per goal for each month of `months` ([{ month, ...Kpis.compute() }],
+   * e.g. Kpis.monthly().months), newest first. Months without goals are left out.
+   * → [{ month, results: { [metric]: { target, actual, hit } } }]
+   */
+  function history(goalSets, months) {
+    return months
+      .map(m => {
+        const results = {};
+        Object.entries(targetsFor(goalSets, m.month)).forEach(([key, target]) => {
+          const actual = m[key] || 0;
+          results[key] = { target, actual: round2(actual), hit: actual >= target };
+        });
+        return { month: m.month, results };
+      })
+      .filter(m => Object.keys(m.results).length > 0)
+      .sort((a, b) => b.month.localeCompare(a.month));
+  }
+
+  return {
+    GOAL_METRICS,
+    normalize,
+    targetsFor,
+    progress,
+    history,
+  };
+});
@@ -0,0 +1,158 @@
+/**
+ * Dashboard KPIs: revenue, commissions, fixed costs, Clarity Pay fee and the
+ * Info / Agency / Whop / Combined profit lines.
+ *
+ * index.html (window.SVKpis) and scripts/pnl-report.mjs both compute through
+ * compute(), so a report for any range matches the dashboard to the cent.
+ *
+ * `data` holds the dashboard's working sets:
+ *   { sales, whopPayments, distPayouts, sheetDistPayouts, bookedCalls, ga4Sessions,
+ *     tiktokExpenses, metaExpenses, googleExpenses }
+ * fromLedger() gives the ledger-backed ones (lib/ledger.js); the rest come
+ * from the sheets (lib/sheets.js).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./periods.js'), require('./rules.js'), require('./fixed-costs.js'), require('./ledger.js'));
+  } else {
+    root.SVKpis = factory(root.SVPeriods, root.SVRules, root.SVFixedCosts, root.SVLedger);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Periods, Rules, FixedCosts, Ledger) {
+  // First day of tracked sales; earlier sales and fixed costs are left out
+  const DATA_START_DATE = '2026-01-28';
+
+  // Paid ad channels: `data` holds each one's daily spend rows (lib/sheets.js adSpend())
+  const AD_CHANNELS = [
+    { key: 'tiktok', label: 'TikTok', data: 'tiktokExpenses', source: 'tiktok_expenses' },
+    { key: 'meta', label: 'Meta', data: 'metaExpenses', source: 'meta_spend' },
+    { key: 'google', label: 'Google', data: 'googleExpenses', source: 'google_spend' },
+  ];
+
+  const byDateDesc = (a, b) => b.date.localeCompare(a.date);
+  const ratio = (a, b) => (b > 0 ? a / b : null);
+
+  function fromLedger(ledger, dataStart = DATA_START_DATE) {
+    return {
+      sales: Ledger.toSales(ledger).filter(s => s.date >= dataStart).sort(byDateDesc),
+      whopPayments: Ledger.toWhopPayments(ledger),
+      distPayouts: Ledger.toDistPayouts(ledger).sort(byDateDesc),
+      creatorPayouts: Ledger.toCreatorPayouts(ledger).sort(byDateDesc),
+      sheetDistPayouts: Ledger.toSheetDistPayouts(ledger),
+    };
+  }
+
+  /**
+   * Every KPI for one { from, to } window.
+   *
+   * options: { ruleSets, fixedCostItems, heldBack, dataStart }
+   * `heldBack`: date → Set of Whop payment ids held back from revenue as of that
+   * date (SVReceivables.heldBackAsOf); it's asked about the window's last day, or
+   * about `heldBackAt(payment date)` when given (see monthly()).
+   */
+  function compute(data, bounds, { ruleSets, fixedCostItems, heldBack = () => new Set(), heldBackAt = () => bounds.to, dataStart = DATA_START_DATE }) {
+    const isHeld = (p) => heldBack(heldBackAt(p.date)).has(p.id);
+    const within = (date) => Periods.inRange(date, bounds);
+    const periodSales = (data.sales || []).filter(s => within(s.date));
+    const periodWhop = (data.whopPayments || []).filter(p => within(p.date) && !isHeld(p));
+    const periodCalls = (data.bookedCalls || []).filter(c => within(c.date));
+    const periodSessions = (data.ga4Sessions || []).filter(s => within(s.date));
+    const periodDistPayouts = [
+      ...(data.distPayouts || []).map(p => ({ ...p, amount: p.amount_paid || p.settlement_amount || 0 })),
+      ...(data.sheetDistPayouts || []).map(p => ({ ...p, amount: p.amount })),
+    ].filter(p => within(p.date));
+    const spend = {};
+    AD_CHANNELS.forEach(c => {
+      spend[c.key] = (data[c.data] || []).filter(e => within(e.date)).reduce((sum, e) => sum + e.amount, 0);
+    });
+    const adSpend = spend.tiktok + spend.meta + spend.google;
+    // Fixed costs only accrue from the first day of data
+    const fixedWindow = Periods.clampStart(bounds, dataStart);
+    const fixedCostBreakdown = fixedWindow
+      ? FixedCosts.prorate(fixedCostItems, fixedWindow.from, fixedWindow.to)
+      : FixedCosts.prorate(fixedCostItems, null, null);
+
+    const revenue = periodSales.reduce((sum, s) => sum + s.revenue, 0);
+    // Whop revenue (net of refunds) — computed before commissions so rev-share can include it
+    const whopRevenue = periodWhop.reduce((sum, p) => sum + p.amount, 0);
+    const whopRefunds = periodWhop.reduce((sum, p) => sum + p.refunded, 0);
+    const whopNet = whopRevenue - whopRefunds;
+
+    // Rev-share commissions apply to Info (Kajabi) + Whop revenue, NOT agency. Rates come from the
+    // rule set in force on each payment's date (config/rules.json), so rate changes never restate the past.
+    //   Marketing (media buyer) = marketing_rev_share of all Info + Whop revenue
+    //   Sales = sales_commission_rate of high-ticket (> sales_commission_over) Info sales + Whop payments
+    // Base salaries live in config/fixed-costs.json.
+    const infoMarketingComm = periodSales.reduce((sum, s) => sum + Rules.marketingCommission(ruleSets, s.date, s.revenue), 0);
+    const whopMarketingComm = periodWhop.reduce((sum, p) => sum + Rules.marketingCommission(ruleSets, p.date, p.amount - p.refunded), 0);
+    const infoSalesComm = periodSales.reduce((sum, s) => sum + Rules.salesCommission(ruleSets, s.date, s.revenue), 0);
+    const whopSalesComm = periodWhop.reduce((sum, p) => sum + Rules.salesCommission(ruleSets, p.date, p.amount), 0);
+    const whopCommissions = whopMarketingComm + whopSalesComm; // commissions attributable to Whop
+    // Clarity Pay financing fee on any Whop payment processed via Clarity Pay (Whop-side cost)
+    const clarityPayFee = periodWhop.filter(p => p.paymentMethod === 'claritypay').reduce((sum, p) => sum + Rules.clarityFee(ruleSets, p.date, p.amount), 0);
+
+    const agencyGross = periodDistPayouts.reduce((sum, p) => sum + (p.amount || 0), 0);
+    const managerCut = periodDistPayouts.reduce((sum, p) => sum + Rules.managerCut(ruleSets, p.date, p.amount || 0), 0);
+    const agencyProfit = agencyGross - managerCut;
+
+    // Info Profit bears only info-side commissions (Whop commissions are charged to the Whop side)
+    const profit = revenue - adSpend - infoMarketingComm - infoSalesComm - fixedCostBreakdown.total;
+    // Whop net contribution, after its own commissions & Clarity Pay fees
+    const whopProfit = whopNet - whopCommissions - clarityPayFee;
+    // Combined = Info profit + Agency profit + Whop net contribution
+    const combinedProfit = profit + agencyProfit + whopNet - whopCommissions - clarityPayFee;
+
+    // No sale or call records the channel that brought it, so a channel only gets its share of
+    // spend; ROAS and cost per sale / call exist only blended across all channels
+    const blended = {
+      spend: adSpend,
+      roas: ratio(revenue, adSpend),
+      costPerSale: ratio(adSpend, periodSales.length),
+      costPerCall: ratio(adSpend, periodCalls.length),
+    };
+
+    return {
+      bounds,
+      sales: periodSales,
+      whopPayments: periodWhop,
+      bookedCalls: periodCalls,
+      ga4Sessions: periodSessions,
+      distPayouts: periodDistPayouts,
+      fixedCostBreakdown,
+      revenue,
+      salesCount: periodSales.length,
+      calls: periodCalls.length,
+      sessions: periodSessions.reduce((sum, s) => sum + s.sessions, 0),
+      whopRevenue, whopRefunds, whopNet,
+      infoMarketingComm, whopMarketingComm, infoSalesComm, whopSalesComm, whopCommissions, clarityPayFee,
+      tiktokSpend: spend.tiktok,
+      metaSpend: spend.meta,
+      googleSpend: spend.google,
+      adSpend,
+      channels: AD_CHANNELS.map(c => ({ key: c.key, label: c.label, spend: spend[c.key], share: ratio(spend[c.key], adSpend) })),
+      blended,
+      fixedCosts: fixedCostBreakdown.total,
+      agencyGross, managerCut, agencyProfit,
+      profit, whopProfit, combinedProfit,
+      combinedRevenue: revenue + whopRevenue + agencyGross,
+    };
+  }
+
+  // compute() for each calendar month of `bounds`, plus the whole range
+  function monthly(data, bounds, options) {
+    const months = Periods.monthsIn(bounds);
+    // The total holds back what each month held back, so it's the sum of the month columns
+    const monthEnd = (date) => (months.find(m => Periods.inRange(date, m)) || bounds).to;
+    return {
+      months: months.map(m => ({ month: m.month, ...compute(data, m, options) })),
+      total: compute(data, bounds, { ...options, heldBackAt: monthEnd }),
+    };
+  }
+
+  return {
+    DATA_START_DATE,
+    AD_CHANNELS,
+    fromLedger,
+    compute,
+    monthly,
+  };
+});
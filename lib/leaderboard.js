@@ -0,0 +1,132 @@
+/**
+ * Agency leaderboard: GMV, orders, est. commission and refunds per creator and
+ * per product.
+ *
+ * agency-data.json keeps one row per day per creator (`creator_analytics`) and
+ * per product (`product_analytics`), in the metric keys of `daily_analytics`:
+ *
+ *   { date, id, name, affiliate_gmv, est_commission, orders, gmv_refund, source }
+ *
+ * `source` is "api" (the fetcher's own stats API call) or "scraper" (the same
+ * list requested from a logged-in Partner Center page by
+ * scripts/scrape-partner-analytics.mjs, when the API doesn't answer).
+ *
+ * Rows accumulate across syncs like the payouts do, so any date range can be
+ * ranked; the last couple of weeks are re-fetched every run and replace what
+ * was stored for those days. Only days a source answered are stored — a
+ * share of the account total would be a guess. `breakdown_days` lists every
+ * day answered per key, including days with no rows.
+ *
+ * Shared by scripts/fetch-tiktok-data.mjs and the Agency tab leaderboard in
+ * index.html (window.SVLeaderboard).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./periods.js'));
+  else root.SVLeaderboard = factory(root.SVPeriods);
+})(typeof self !== 'undefined' ? self : this, function (Periods) {
+  const KINDS = {
+    creators: { key: 'creator_analytics', label: 'Creator', endpoint: '/api/v2/insights/partner/creator/list', idField: 'creator_id', nameField: 'creator_name' },
+    products: { key: 'product_analytics', label: 'Product', endpoint: '/api/v2/insights/partner/product/list', idField: 'product_id', nameField: 'product_name' },
+  };
+  const METRICS = ['affiliate_gmv', 'est_commission', 'orders', 'gmv_refund'];
+  // Paging of the creator / product lists (the fetcher's API calls and the scraper's alike)
+  const PAGE_SIZE = 50;
+  const MAX_PAGES = 20;
+
+  const round2 = (n) => Math.round(n * 100) / 100;
+  const ratio = (a, b) => (b > 0 ? a / b : null);
+
+  // One row of a stats API creator / product list, for `date`. Same field names as the general stats call.
+  function formatRow(kind, raw, date) {
+    const { idField, nameField } = KINDS[kind];
+    return {
+      date,
+      id: String(raw[idField] ?? raw.id ?? ''),
+      name: raw[nameField] || raw.name || raw.nickname || raw.title || '',
+      affiliate_gmv: parseFloat(raw.gmv) || 0,
+      est_commission: parseFloat(raw.commission) || 0,
+      orders: parseInt(raw.orders, 10) || 0,
+      gmv_refund: parseFloat(raw.refund) || 0,
+    };
+  }
+
+  /**
+   * Stored rows with `fresh` ones laid over them (same date and id), newest day
+   * first. Stored rows of the `refetched` dates are dropped first, so an entity
+   * that no longer shows up on a re-fetched day goes away.
+   */
+  function merge(existing, fresh, refetched = new Set()) {
+    const byKey = new Map();
+    [...(existing || []).filter(r => !refetched.has(r.date)), ...fresh].forEach(r => {
+      if (r.date && r.id) byKey.set(`${r.date}|${r.id}`, r);
+    });
+    return [...byKey.values()].sort((a, b) => b.date.localeCompare(a.date) || a.id.localeCompare(b.id));
+  }
+
+  // Fetched dates in `bounds`: `days` (breakdown_days) when given, else — files written before
+  // breakdown_days — the dates that have rows, since a day with no rows may never have been fetched
+  const coveredDates = (rows, days, bounds) =>
+    [...new Set(days ? days : rows.map(r => r.date))].filter(d => Periods.inRange(d, bounds)).sort();
+
+  function totals(rows) {
+    const t = { affiliate_gmv: 0, est_commission: 0, orders: 0, gmv_refund: 0 };
+    rows.forEach(r => METRICS.forEach(m => { t[m] += r[m] || 0; }));
+    return t;
+  }
+
+  /**
+   * Entities ranked by GMV over `bounds`, with the trend against `previous`
+   * (comparison bounds, or null) and a GMV per covered day for a sparkline.
+   * `days`: the dates fetched for this kind (breakdown_days[key]), so a fetched
+   * day without sales counts as a zero day rather than a gap.
+   * → { entries: [{ id, name, affiliate_gmv, est_commission, orders, gmv_refund,
+   *                 refundRate, share, previousGmv, change, daily }], dates }
+   */
+  function rank(rows, bounds, previous = null, days = null) {
+    const inRange = (rows || []).filter(r => Periods.inRange(r.date, bounds));
+    const dates = coveredDates(rows || [], days, bounds);
+    const before = previous ? (rows || []).filter(r => Periods.inRange(r.date, previous)) : [];
+    const totalGmv = inRange.reduce((s, r) => s + (r.affiliate_gmv || 0), 0);
+
+    const byId = new Map();
+    inRange.forEach(r => {
+      if (!byId.has(r.id)) byId.set(r.id, []);
+      byId.get(r.id).push(r);
+    });
+    const previousGmv = new Map();
+    before.forEach(r => previousGmv.set(r.id, (previousGmv.get(r.id) || 0) + (r.affiliate_gmv || 0)));
+    const hasPrevious = !!previous && coveredDates(rows || [], days, previous).length > 0;
+
+    const entries = [...byId.entries()].map(([id, own]) => {
+      const t = totals(own);
+      const gmvOn = new Map(own.map(r => [r.date, r.affiliate_gmv || 0]));
+      const prior = previousGmv.get(id) || 0;
+      return {
+        id,
+        // The latest name wins — creators rename, products get retitled
+        name: [...own].sort((a, b) => b.date.localeCompare(a.date)).find(r => r.name)?.name || id,
+        affiliate_gmv: round2(t.affiliate_gmv),
+        est_commission: round2(t.est_commission),
+        orders: t.orders,
+        gmv_refund: round2(t.gmv_refund),
+        refundRate: ratio(t.gmv_refund, t.affiliate_gmv),
+        share: ratio(t.affiliate_gmv, totalGmv),
+        previousGmv: hasPrevious ? round2(prior) : null,
+        change: hasPrevious ? Periods.pctChange(t.affiliate_gmv, prior) : null,
+        daily: dates.map(d => gmvOn.get(d) || 0),
+      };
+    }).sort((a, b) => b.affiliate_gmv - a.affiliate_gmv);
+
+    return { entries, dates };
+  }
+
+  return {
+    KINDS,
+    METRICS,
+    PAGE_SIZE,
+    MAX_PAGES,
+    formatRow,
+    merge,
+    rank,
+  };
+});
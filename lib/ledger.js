@@ -0,0 +1,334 @@
+/**
+ * Normalized revenue ledger.
+ *
+ * Turns the five revenue feeds into one list of entries with a common shape:
+ *
+ *   { id, source, stream, ts, date, gross, fees, refunds, status, customer, product, ref, ... }
+ *
+ *   source  kajabi | sheet | whop | tiktok-api | tiktok-sheet
+ *   stream  info | whop-membership | clarity | agency
+ *   ts      UTC ISO timestamp; `date` is the business day the dashboard filters on
+ *
+ * scripts/build-ledger.mjs writes ledger.json with it; index.html (window.SVLedger)
+ * reads ledger.json with the live sheets laid over it (withSheets), or builds the
+ * same ledger in the browser when it's missing.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./rules.js'));
+  else root.SVLedger = factory(root.SVRules);
+})(typeof self !== 'undefined' ? self : this, function (Rules) {
+  const STREAMS = ['info', 'whop-membership', 'clarity', 'agency'];
+
+  // FNV-1a (two seeds → 16 hex chars): stable, dependency-free ids for rows without one
+  function stableId(...parts) {
+    const str = parts.map(p => String(p == null ? '' : p)).join('|');
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193 ^ 0x5bd1e995;
+    for (let i = 0; i < str.length; i++) {
+      const c = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ c, 0x01000193);
+      h2 = Math.imul(h2 ^ c, 0x01000193);
+    }
+    return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+  }
+
+  const round2 = (n) => Math.round(n * 100) / 100;
+
+  // "2026-01-28 23:10:01 -0800" (Kajabi export) → UTC ISO
+  function kajabiTs(datetime, date) {
+    const m = String(datetime || '').match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/);
+    if (m) return new Date(`${m[1]}T${m[2]}${m[3]}:${m[4]}`).toISOString();
+    return dayTs(date, '-08:00');
+  }
+
+  // Date-only rows: midnight in the zone the source reports in
+  function dayTs(date, offset) {
+    const d = new Date(`${date}T00:00:00${offset}`);
+    return isNaN(d.getTime()) ? null : d.toISOString();
+  }
+
+  // Kajabi transactions.json row (customer = email hash/key resolved by the caller)
+  function fromKajabi(row, customer) {
+    const revenue = parseFloat(row.revenue) || 0;
+    if (!row.date || revenue <= 0) return null;
+    const datetime = row.datetime || '';
+    return {
+      id: 'info:' + stableId(customer, datetime, revenue),
+      source: 'kajabi',
+      stream: 'info',
+      ts: kajabiTs(datetime, row.date),
+      date: row.date,
+      datetime,
+      gross: revenue,
+      fees: 0,
+      refunds: 0,
+      status: 'paid',
+      customer: customer || '',
+      product: row.offer || '',
+      channel: row.source || '',
+      ref: null,
+    };
+  }
+
+  // Sales sheet row (date, offer, revenue, customer email, source) — only has a day
+  function fromSheetSale(row, customer) {
+    const revenue = parseFloat(row.revenue) || 0;
+    if (!row.date || revenue <= 0) return null;
+    return {
+      id: 'info:' + stableId(customer, row.date, revenue),
+      source: 'sheet',
+      stream: 'info',
+      ts: dayTs(row.date, '-08:00'),
+      date: row.date,
+      datetime: row.date,
+      gross: revenue,
+      fees: 0,
+      refunds: 0,
+      status: 'paid',
+      customer: customer || '',
+      product: row.offer || '',
+      channel: row.source || '',
+      ref: null,
+    };
+  }
+
+  const isClarity = (p) => p.payment_method_type === 'claritypay';
+
+  // Counted: all PAID Whop payments, plus OPEN/PENDING Clarity Pay coaching (active financing,
+  // recorded once the deal is booked). Defaulted plans get marked 'void' so they're excluded.
+  function isCountableWhop(p) {
+    return p.final_amount > 0 && (
+      p.status === 'paid' ||
+      ((p.status === 'open' || p.status === 'pending') && isClarity(p))
+    );
+  }
+
+  // Whop unix seconds or ISO string → ISO string (null when missing or unreadable)
+  function whopIso(ts) {
+    if (!ts) return null;
+    const d = typeof ts === 'number' ? new Date(ts * 1000) : new Date(ts);
+    return isNaN(d.getTime()) ? null : d.toISOString();
+  }
+
+  function whopTs(p) {
+    return whopIso(p.paid_at || p.created_at);
+  }
+
+  function fromWhop(p, customer, idx, ruleSets) {
+    if (!isCountableWhop(p)) return null;
+    const ts = whopTs(p);
+    const gross = parseFloat(p.final_amount || p.subtotal || p.amount || 0); // Whop amounts are in dollars
+    if (!ts || gross <= 0) return null;
+    const clarity = isClarity(p);
+    return {
+      id: 'whop:' + (p.id || `whop-${idx}`),
+      source: 'whop',
+      stream: clarity ? 'clarity' : 'whop-membership',
+      ts,
+      date: ts.split('T')[0],
+      gross,
+      fees: clarity ? round2(Rules.clarityFee(ruleSets, ts.split('T')[0], gross)) : 0,
+      refunds: parseFloat(p.refunded_amount || 0),
+      refunded_at: whopIso(p.refunded_at),
+      status: p.status || 'unknown',
+      pending: p.status !== 'paid', // open/pending Clarity Pay financing not yet fully collected
+      customer: customer || '',
+      product: (p.product && p.product.title) || p.product_id || '',
+      payment_method: p.payment_method_type || '',
+      currency: p.currency || 'usd',
+      ref: p.id || null,
+    };
+  }
+
+  function fromDistPayout(p) {
+    if (!p.date) return null;
+    return {
+      id: 'tiktok-dist:' + p.statement_id,
+      source: 'tiktok-api',
+      stream: 'agency',
+      kind: 'distribution',
+      ts: dayTs(p.date, 'Z'),
+      date: p.date,
+      gross: p.amount_paid || p.settlement_amount || 0,
+      fees: 0,
+      refunds: 0,
+      status: 'paid',
+      customer: '',
+      product: p.type || 'PRODUCT_DISTRIBUTION',
+      settlement_amount: p.settlement_amount,
+      amount_paid: p.amount_paid,
+      currency: p.currency || 'USD',
+      ref: p.statement_id,
+    };
+  }
+
+  function fromCreatorPayout(p) {
+    if (!p.date) return null;
+    return {
+      id: 'tiktok-creator:' + p.payment_id,
+      source: 'tiktok-api',
+      stream: 'agency',
+      kind: 'creator',
+      ts: dayTs(p.date, 'Z'),
+      date: p.date,
+      gross: p.amount_paid || p.settlement_amount || 0,
+      fees: 0,
+      refunds: 0,
+      status: 'paid',
+      customer: '',
+      product: 'CREATOR_SERVICE',
+      settlement_amount: p.settlement_amount,
+      amount_paid: p.amount_paid,
+      currency: 'USD',
+      ref: p.payment_id,
+    };
+  }
+
+  // "Distribution Payouts" sheet row (date, amount, type, notes); n = occurrence of an identical row
+  function fromSheetDistPayout(row, n) {
+    const amount = parseFloat(row.amount) || 0;
+    if (!row.date || amount <= 0) return null;
+    return {
+      id: 'sheet-dist:' + stableId(row.date, amount, row.type, row.notes, n),
+      source: 'tiktok-sheet',
+      stream: 'agency',
+      kind: 'distribution',
+      ts: dayTs(row.date, 'Z'),
+      date: row.date,
+      gross: amount,
+      fees: 0,
+      refunds: 0,
+      status: 'paid',
+      customer: '',
+      product: row.type || 'distribution',
+      notes: row.notes || '',
+      ref: null,
+    };
+  }
+
+  // A Sales sheet row and a Kajabi sale are the same sale when buyer, day and amount match.
+  // Ids can't tell: Kajabi ids hash the full datetime, sheet ids only the day.
+  const saleKey = (e) => `${e.customer}|${e.date}|${round2(e.gross)}`;
+
+  /**
+   * Drop sheet sales already in Kajabi (one sheet row per Kajabi sale; rows without a
+   * customer can't be matched and stay) and repeated ids, then sort newest first.
+   */
+  function finalize(entries) {
+    const kajabiSales = new Map();
+    entries.forEach(e => {
+      if (e && e.source === 'kajabi' && e.customer) kajabiSales.set(saleKey(e), (kajabiSales.get(saleKey(e)) || 0) + 1);
+    });
+    const seen = new Set();
+    const ledger = entries.filter(e => {
+      if (!e || !e.ts || seen.has(e.id)) return false;
+      if (e.source === 'sheet' && e.customer && kajabiSales.get(saleKey(e)) > 0) {
+        kajabiSales.set(saleKey(e), kajabiSales.get(saleKey(e)) - 1);
+        return false;
+      }
+      seen.add(e.id);
+      return true;
+    });
+    ledger.sort((a, b) => b.ts.localeCompare(a.ts) || a.id.localeCompare(b.id));
+    return ledger;
+  }
+
+  function sheetDistEntries(sheetDistPayouts) {
+    const occurrences = new Map();
+    return sheetDistPayouts.map(r => {
+      const key = [r.date, r.amount, r.type, r.notes].join('|');
+      const n = occurrences.get(key) || 0;
+      occurrences.set(key, n + 1);
+      return fromSheetDistPayout(r, n);
+    });
+  }
+
+  /**
+   * Merge every feed into one ledger, newest first. Each input row carries a
+   * `customer` key where it has a buyer (see SVPii.customerKey); a Sales sheet
+   * row for a sale Kajabi already has is dropped (see finalize).
+   * `ruleSets` (SVRules.normalize) prices the Clarity Pay fee at each payment's date.
+   */
+  function buildLedger({ kajabi = [], sheetSales = [], whop = [], distPayouts = [], creatorPayouts = [], sheetDistPayouts = [], ruleSets = Rules.normalize() }) {
+    const entries = [];
+    kajabi.forEach(r => entries.push(fromKajabi(r, r.customer)));
+    sheetSales.forEach(r => entries.push(fromSheetSale(r, r.customer)));
+    whop.forEach((p, idx) => entries.push(fromWhop(p, p.customer, idx, ruleSets)));
+    distPayouts.forEach(p => entries.push(fromDistPayout(p)));
+    creatorPayouts.forEach(p => entries.push(fromCreatorPayout(p)));
+    entries.push(...sheetDistEntries(sheetDistPayouts));
+    return finalize(entries);
+  }
+
+  /**
+   * A stored ledger with its sheet entries replaced by freshly read sheet rows,
+   * so sheet sales show up between hourly ledger builds. Pass only the sheets
+   * that were read (null keeps the stored entries for that sheet); sales rows
+   * need customer keys hashed like the ledger's, or they can't be matched to Kajabi.
+   */
+  function withSheets(ledger, { sheetSales = null, sheetDistPayouts = null }) {
+    const entries = ledger.filter(e =>
+      !(sheetSales && e.source === 'sheet') && !(sheetDistPayouts && e.source === 'tiktok-sheet'));
+    (sheetSales || []).forEach(r => entries.push(fromSheetSale(r, r.customer)));
+    entries.push(...sheetDistEntries(sheetDistPayouts || []));
+    return finalize(entries);
+  }
+
+  // ——— Views in the shapes the dashboard already works with ———
+
+  function toSales(ledger) {
+    return ledger.filter(e => e.stream === 'info').map(e => ({
+      id: e.id, date: e.date, datetime: e.datetime || e.date, offer: e.product,
+      revenue: e.gross, email: '', source: e.channel || '', customer: e.customer
+    }));
+  }
+
+  function toWhopPayments(ledger) {
+    return ledger.filter(e => e.stream === 'whop-membership' || e.stream === 'clarity').map(e => ({
+      id: e.ref || e.id, date: e.date, amount: e.gross, status: e.status, pending: !!e.pending,
+      product: e.product, user: '', customer: e.customer, currency: e.currency,
+      refunded: e.refunds, refundedDate: e.refunded_at ? e.refunded_at.split('T')[0] : null,
+      fees: e.fees, paymentMethod: e.payment_method
+    }));
+  }
+
+  // API statements in agency-data.json shape
+  function toDistPayouts(ledger) {
+    return ledger.filter(e => e.kind === 'distribution' && e.source === 'tiktok-api').map(e => ({
+      statement_id: e.ref, date: e.date, settlement_amount: e.settlement_amount,
+      amount_paid: e.amount_paid, type: e.product, currency: e.currency
+    }));
+  }
+
+  function toCreatorPayouts(ledger) {
+    return ledger.filter(e => e.kind === 'creator').map(e => ({
+      payment_id: e.ref, date: e.date, settlement_amount: e.settlement_amount, amount_paid: e.amount_paid
+    }));
+  }
+
+  // Sheet-sourced distribution payouts in the dashboard's sheet shape
+  function toSheetDistPayouts(ledger) {
+    return ledger.filter(e => e.source === 'tiktok-sheet').map(e => ({
+      id: e.id, date: e.date, amount: e.gross, type: e.product, notes: e.notes
+    }));
+  }
+
+  return {
+    STREAMS,
+    stableId,
+    isCountableWhop,
+    fromKajabi,
+    fromSheetSale,
+    fromWhop,
+    fromDistPayout,
+    fromCreatorPayout,
+    fromSheetDistPayout,
+    buildLedger,
+    withSheets,
+    toSales,
+    toWhopPayments,
+    toDistPayouts,
+    toCreatorPayouts,
+    toSheetDistPayouts,
+  };
+});
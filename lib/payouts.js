@@ -0,0 +1,157 @@
+/**
+ * TikTok Partner Center payouts → agency-data.json.
+ *
+ * Pages through /payout/search for the distribution and creator-service
+ * partners, formats each payout, and merges them into the stored lists by id.
+ * The API sometimes returns partial or stale results, so stored payouts are
+ * never dropped — the lists only accumulate — and an empty response never
+ * replaces non-empty stored data.
+ *
+ * The caller passes `request(endpoint, params)` → parsed JSON, so the same code
+ * runs with a session cookie in CI and with the logged-in browser session.
+ *
+ * Shared by scripts/fetch-tiktok-data.mjs and the scripts/refresh-agency-data.js
+ * bookmarklet (window.SVPayouts).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SVPayouts = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Partner IDs (Stay Viral)
+  const DIST_PARTNER_ID = '8650986195390075694';
+  const CREATOR_PARTNER_ID = '8647379727644267307';
+  const SEARCH_ENDPOINT = '/api/v1/affiliate/partner/payout/search';
+  const MAX_PAGES = 100;
+
+  /**
+   * Partner Center answers an expired session with HTTP 200 and an error code
+   * (16201010 = unauthenticated). Returns an AUTH_EXPIRED error for such a
+   * response, otherwise null.
+   */
+  function authError(json) {
+    const message = ((json && json.message) || '').toLowerCase();
+    const code = json && json.code;
+    if (code === 10000 || code === 10001 || code === 401 || code === 16201010 ||
+        message.includes('login') || message.includes('auth') || message.includes('session')) {
+      return new Error(`AUTH_EXPIRED: ${json.message || 'Session cookie expired'} (code ${code})`);
+    }
+    return null;
+  }
+
+  // Every raw payout for one partner
+  async function fetchAll(request, partnerId, label, log = () => {}) {
+    log(`\nFetching ${label} payouts...`);
+    const all = [];
+    let page = 1;
+    let totalCount = 0;
+
+    do {
+      const data = await request(SEARCH_ENDPOINT, {
+        page_size: '20',
+        page: String(page),
+        partner_id: partnerId,
+        aid: '359713',
+      });
+
+      if (data.code !== 0 || !data.data?.payout_info) {
+        if (page === 1) {
+          log(`  ⚠ No payout data returned (code: ${data.code}, msg: ${data.message || 'none'})`);
+        }
+        break;
+      }
+
+      totalCount = data.data.total_count;
+      all.push(...data.data.payout_info);
+      log(`  Page ${page}: ${data.data.payout_info.length} records (${all.length}/${totalCount})`);
+      page++;
+    } while (all.length < totalCount && page <= MAX_PAGES);
+
+    log(`  Total ${label}: ${all.length} records`);
+    return all;
+  }
+
+  function formatPayout(raw) {
+    const d = new Date(parseInt(raw.payment_time));
+    return {
+      date: d.toISOString().split('T')[0],
+      settlement_amount: parseFloat(raw.amount),
+      amount_paid: parseFloat(raw.payment_amount),
+    };
+  }
+
+  function formatDistPayouts(rawList) {
+    return rawList.map(r => ({
+      statement_id: r.id,
+      ...formatPayout(r),
+      type: 'PRODUCT_DISTRIBUTION',
+      currency: 'USD',
+    }));
+  }
+
+  function formatCreatorPayouts(rawList) {
+    return rawList.map(r => ({
+      payment_id: r.id,
+      ...formatPayout(r),
+    }));
+  }
+
+  /**
+   * Merge fresh API payouts with existing stored payouts.
+   * The TikTok API sometimes returns inconsistent/partial results,
+   * so we keep a superset of all payouts ever seen, deduplicating by ID.
+   * Fresh data wins when the same ID appears in both sets.
+   */
+  function mergePayouts(existing, fresh, idField) {
+    const byId = new Map();
+    for (const p of existing) {
+      const id = p[idField];
+      if (id) byId.set(id, p);
+    }
+    for (const p of fresh) {
+      const id = p[idField];
+      if (id) byId.set(id, p);
+    }
+    return Array.from(byId.values());
+  }
+
+  /**
+   * Fetch both payout lists and merge them into `existing` (agency-data.json).
+   * → { empty, fresh: { dist, creator }, existingCount: { dist, creator },
+   *     distribution_payouts, payouts }   (merged, newest first)
+   * `empty` is true when the API returned nothing although payouts are stored —
+   * usually an invalid session or an API hiccup. The merged lists are the stored
+   * ones in that case, and callers must not write the file.
+   */
+  async function refresh(existing, request, log = () => {}) {
+    const dist = formatDistPayouts(await fetchAll(request, DIST_PARTNER_ID, 'distribution', log));
+    const creator = formatCreatorPayouts(await fetchAll(request, CREATOR_PARTNER_ID, 'creator', log));
+    const storedDist = (existing && existing.distribution_payouts) || [];
+    const storedCreator = (existing && existing.payouts) || [];
+    const existingCount = { dist: storedDist.length, creator: storedCreator.length };
+    const fresh = { dist, creator };
+
+    if (dist.length === 0 && creator.length === 0 && (storedDist.length > 0 || storedCreator.length > 0)) {
+      return { empty: true, fresh, existingCount, distribution_payouts: storedDist, payouts: storedCreator };
+    }
+
+    const byNewest = (a, b) => b.date.localeCompare(a.date);
+    return {
+      empty: false,
+      fresh,
+      existingCount,
+      distribution_payouts: mergePayouts(storedDist, dist, 'statement_id').sort(byNewest),
+      payouts: mergePayouts(storedCreator, creator, 'payment_id').sort(byNewest),
+    };
+  }
+
+  return {
+    DIST_PARTNER_ID,
+    CREATOR_PARTNER_ID,
+    authError,
+    fetchAll,
+    formatDistPayouts,
+    formatCreatorPayouts,
+    mergePayouts,
+    refresh,
+  };
+});
@@ -0,0 +1,149 @@
+/**
+ * Date ranges and comparison baselines.
+ *
+ * Every range is a pair of inclusive YYYY-MM-DD business days ({ from, to },
+ * PST on the dashboard). Filtering is a plain string comparison, so custom
+ * ranges include their end date and every dataset is cut the same way.
+ *
+ * "All Time" starts at ALL_TIME_FROM (older agency payouts predate the sales
+ * data) and has no baseline.
+ *
+ * Baselines for period-over-period deltas:
+ *   previous    same number of days, ending the day before `from`
+ *   last_month  the same dates one month earlier (clamped to month end)
+ *   last_year   the same dates one year earlier
+ *
+ * Shared by index.html (window.SVPeriods) and Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SVPeriods = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const BASELINES = [
+    { key: 'previous', label: 'Previous period', short: 'prev period' },
+    { key: 'last_month', label: 'Same period last month', short: 'last month' },
+    { key: 'last_year', label: 'Same period last year', short: 'last year' },
+  ];
+
+  const ALL_TIME_FROM = '2000-01-01';
+  // Rolling ranges: days back from today, so "7d" runs from 7 days ago through today
+  const ROLLING_DAYS = { '7d': 7, '30d': 30, '12m': 365 };
+  // Single-day ranges: days before today
+  const DAY_OFFSETS = { today: 0, yesterday: 1, '2daysago': 2 };
+
+  const pad = (n) => String(n).padStart(2, '0');
+
+  function fromParts(y, m, d) {
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  }
+
+  /**
+   * "2026-02-03", "2026-02-03T10:00:00Z" or sheet-style "2/3/2026" → "2026-02-03".
+   * Anything else → null.
+   */
+  function toISODate(raw) {
+    const str = String(raw || '').trim();
+    let m = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+    m = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (m) return `${m[3]}-${pad(m[1])}-${pad(m[2])}`;
+    return null;
+  }
+
+  function addDays(date, days) {
+    const [y, m, d] = date.split('-').map(Number);
+    return fromParts(y, m, d + days);
+  }
+
+  // Same day-of-month `months` later (negative = earlier), clamped to the month's last day
+  function shiftMonths(date, months) {
+    const [y, m, d] = date.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(y, m - 1 + months + 1, 0)).getUTCDate();
+    return fromParts(y, m + months, Math.min(d, lastDay));
+  }
+
+  function dayCount(bounds) {
+    if (!bounds || !bounds.from || !bounds.to || bounds.to < bounds.from) return 0;
+    return Math.round((Date.parse(bounds.to + 'T00:00:00Z') - Date.parse(bounds.from + 'T00:00:00Z')) / 86400000) + 1;
+  }
+
+  /**
+   * Bounds of a dashboard range key as of `today`. "custom" uses
+   * `custom.startDate` / `custom.endDate` when both are set; anything else
+   * (incl. "all", or "custom" before both dates are picked) is all time.
+   */
+  function rangeBounds(range, today, custom) {
+    if (range === 'custom' && custom && custom.startDate && custom.endDate) {
+      return { from: custom.startDate, to: custom.endDate };
+    }
+    if (range in DAY_OFFSETS) {
+      const day = addDays(today, -DAY_OFFSETS[range]);
+      return { from: day, to: day };
+    }
+    if (range in ROLLING_DAYS) return { from: addDays(today, -ROLLING_DAYS[range]), to: today };
+    return { from: ALL_TIME_FROM, to: today };
+  }
+
+  // null for all-time bounds — there's nothing before them to compare with
+  function baselineBounds(bounds, baseline) {
+    if (bounds.from <= ALL_TIME_FROM) return null;
+    switch (baseline) {
+      case 'last_month': return { from: shiftMonths(bounds.from, -1), to: shiftMonths(bounds.to, -1) };
+      case 'last_year': return { from: shiftMonths(bounds.from, -12), to: shiftMonths(bounds.to, -12) };
+      default: {
+        const days = dayCount(bounds);
+        return { from: addDays(bounds.from, -days), to: addDays(bounds.from, -1) };
+      }
+    }
+  }
+
+  // Calendar-month slices of `bounds`: [{ month: 'YYYY-MM', from, to }], first and last cut to the range
+  function monthsIn(bounds) {
+    const months = [];
+    for (let from = bounds.from; from <= bounds.to; ) {
+      const [y, m] = from.split('-').map(Number);
+      const monthEnd = fromParts(y, m + 1, 0);
+      const to = monthEnd < bounds.to ? monthEnd : bounds.to;
+      months.push({ month: from.slice(0, 7), from, to });
+      from = addDays(to, 1);
+    }
+    return months;
+  }
+
+  function inRange(raw, bounds) {
+    const date = toISODate(raw);
+    return !!date && date >= bounds.from && date <= bounds.to;
+  }
+
+  // Part of `bounds` on or after `start` (null when none of it is)
+  function clampStart(bounds, start) {
+    const from = bounds.from < start ? start : bounds.from;
+    return from > bounds.to ? null : { from, to: bounds.to };
+  }
+
+  /**
+   * Percent change from `previous` to `current`; null when there's no
+   * baseline to compare against. Negative baselines (losses) compare on
+   * their magnitude, so going from -100 to -50 reads as +50%.
+   */
+  function pctChange(current, previous) {
+    if (previous === null || previous === undefined || previous === 0) return null;
+    return (current - previous) / Math.abs(previous) * 100;
+  }
+
+  return {
+    BASELINES,
+    ALL_TIME_FROM,
+    toISODate,
+    addDays,
+    shiftMonths,
+    dayCount,
+    rangeBounds,
+    baselineBounds,
+    monthsIn,
+    inRange,
+    clampStart,
+    pctChange,
+  };
+});
@@ -0,0 +1,166 @@
+/**
+ * Customer PII protection for the published data files.
+ *
+ * Shared by the ingestion scripts (Node 20) and index.html (window.SVPii).
+ * One secret, PII_KEY (32 random bytes, base64), feeds two derived keys:
+ *   - an HMAC key for stable email hashes (de-duplication and joins still work)
+ *   - an AES-GCM key for the encrypted originals (decrypted client-side after login)
+ *
+ * Each dashboard user carries PII_KEY wrapped with their own passphrase-derived
+ * key (lib/access.js), so the raw key never ships in the static bundle. The
+ * dashboard keeps the unwrapped key in sessionStorage (PII_STORAGE_KEY) only —
+ * never in localStorage next to the session — so it's gone when the tab closes.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SVPii = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const PII_STORAGE_KEY = 'sv_pii_key';
+  const HASH_PREFIX = 'h1:';
+  const ENC_PREFIX = 'e1:';
+
+  const subtle = () => globalThis.crypto.subtle;
+  const encoder = new TextEncoder();
+
+  function toBase64(bytes) {
+    let bin = '';
+    new Uint8Array(bytes).forEach(b => { bin += String.fromCharCode(b); });
+    return btoa(bin);
+  }
+
+  function fromBase64(b64) {
+    const bin = atob(b64);
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  }
+
+  function generateKey() {
+    return toBase64(globalThis.crypto.getRandomValues(new Uint8Array(32)));
+  }
+
+  async function importPiiKey(keyB64) {
+    const raw = fromBase64(keyB64);
+    if (raw.length !== 32) throw new Error('PII_KEY must be 32 bytes (base64)');
+    const base = await subtle().importKey('raw', raw, 'HKDF', false, ['deriveKey']);
+    const derive = (info, algorithm, usages) => subtle().deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: encoder.encode(info) },
+      base, algorithm, false, usages
+    );
+    return {
+      hmacKey: await derive('sv-pii-hash', { name: 'HMAC', hash: 'SHA-256', length: 256 }, ['sign']),
+      aesKey: await derive('sv-pii-encrypt', { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']),
+    };
+  }
+
+  function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  async function hashEmail(keys, email) {
+    const normalized = normalizeEmail(email);
+    if (!normalized) return '';
+    const sig = new Uint8Array(await subtle().sign('HMAC', keys.hmacKey, encoder.encode(normalized)));
+    return HASH_PREFIX + Array.from(sig.slice(0, 16), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function aesEncrypt(key, plaintext) {
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+    const ct = await subtle().encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(plaintext));
+    return ENC_PREFIX + toBase64(iv) + ':' + toBase64(ct);
+  }
+
+  async function aesDecrypt(key, token) {
+    if (!token || !token.startsWith(ENC_PREFIX)) return null;
+    const [ivB64, ctB64] = token.slice(ENC_PREFIX.length).split(':');
+    const pt = await subtle().decrypt({ name: 'AES-GCM', iv: fromBase64(ivB64) }, key, fromBase64(ctB64));
+    return new TextDecoder().decode(pt);
+  }
+
+  const encryptValue = (keys, value) => aesEncrypt(keys.aesKey, value);
+  const decryptValue = (keys, token) => aesDecrypt(keys.aesKey, token);
+
+  // Wrap/unwrap PII_KEY with a user's 32-byte key from SVAccess.deriveKeys
+  async function wrapPiiKey(userKeyBytes, piiKeyB64) {
+    const key = await subtle().importKey('raw', userKeyBytes, 'AES-GCM', false, ['encrypt']);
+    return aesEncrypt(key, piiKeyB64);
+  }
+
+  async function unwrapPiiKey(userKeyBytes, wrapped) {
+    const key = await subtle().importKey('raw', userKeyBytes, 'AES-GCM', false, ['decrypt']);
+    return aesDecrypt(key, wrapped);
+  }
+
+  /**
+   * Key for de-duplicating/joining customers: the email hash when the PII key
+   * is available, otherwise the normalized plaintext email (legacy rows).
+   */
+  async function customerKey(keys, email) {
+    return keys ? hashEmail(keys, email) : normalizeEmail(email);
+  }
+
+  // transactions.json row: { ..., email } → { ..., email_hash, email_enc }
+  async function protectTransaction(keys, row) {
+    if (!row.email) return row;
+    const { email, ...rest } = row;
+    return { ...rest, email_hash: await hashEmail(keys, email), email_enc: await encryptValue(keys, email) };
+  }
+
+  // Whop payment: the `user` object and any top-level email move into pii_enc;
+  // only the opaque user id stays in the clear.
+  async function protectWhopPayment(keys, payment) {
+    if (!payment.user && !payment.email) return payment;
+    const { user, email, ...rest } = payment;
+    const pii = { user: user || null, email: email || null };
+    return {
+      ...rest,
+      user_id: rest.user_id || (user && user.id) || null,
+      user_hash: await hashEmail(keys, (user && user.email) || email),
+      pii_enc: await encryptValue(keys, JSON.stringify(pii)),
+    };
+  }
+
+  // Rows protect*() hasn't been through yet — a plain-text email or Whop user
+  function hasPlaintext(row) {
+    return !!(row && (row.email || row.user));
+  }
+
+  // The reveal* helpers return the row unchanged when it can't be decrypted
+  // (no key, or a key that doesn't match), so aggregates keep working.
+  async function revealTransaction(keys, row) {
+    if (!keys || !row.email_enc) return row;
+    try {
+      return { ...row, email: await decryptValue(keys, row.email_enc) };
+    } catch (_) {
+      return row;
+    }
+  }
+
+  async function revealWhopPayment(keys, payment) {
+    if (!keys || !payment.pii_enc) return payment;
+    try {
+      const pii = JSON.parse(await decryptValue(keys, payment.pii_enc));
+      return { ...payment, user: pii.user, email: pii.email };
+    } catch (_) {
+      return payment;
+    }
+  }
+
+  return {
+    PII_STORAGE_KEY,
+    generateKey,
+    importPiiKey,
+    normalizeEmail,
+    hashEmail,
+    encryptValue,
+    decryptValue,
+    wrapPiiKey,
+    unwrapPiiKey,
+    customerKey,
+    protectTransaction,
+    protectWhopPayment,
+    hasPlaintext,
+    revealTransaction,
+    revealWhopPayment,
+  };
+});
@@ -0,0 +1,192 @@
+/**
+ * Clarity Pay receivables — financed coaching deals from booking to collection.
+ *
+ * whop-payments.json only holds each payment's current status, so the deal
+ * history (open → pending → paid, or → defaulted) is kept in receivables.json
+ * by scripts/update-receivables.mjs. index.html (window.SVReceivables) reads it,
+ * or derives deals without history from the Whop payments when it's missing.
+ *
+ * Deal shape:
+ *   { id, product, customer, amount, refunded, booked_date, status, status_since,
+ *     paid_date, defaulted_date, history: [{ status, date }] }
+ *
+ *   status  open | pending | paid | defaulted | refunded
+ *
+ * Defaults: Whop `void` payments, or ids listed under `defaults` in
+ * config/receivables.json (so nobody has to hand-edit the data file).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SVReceivables = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_CONFIG = {
+    stuck_after_days: 30,
+    expected_collection_days: 14,
+    defaults: [],
+  };
+  const OPEN_STATUSES = ['open', 'pending'];
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const round2 = (n) => Math.round(n * 100) / 100;
+
+  function withDefaults(config) {
+    return { ...DEFAULT_CONFIG, ...(config || {}) };
+  }
+
+  // Whop timestamps are unix seconds or ISO strings → YYYY-MM-DD (UTC)
+  function toDate(ts) {
+    if (!ts) return null;
+    const d = typeof ts === 'number' ? new Date(ts * 1000) : new Date(ts);
+    return isNaN(d.getTime()) ? null : d.toISOString().split('T')[0];
+  }
+
+  function addDays(date, days) {
+    const d = new Date(date + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+  }
+
+  function daysBetween(from, to) {
+    return Math.round((Date.parse(to + 'T00:00:00Z') - Date.parse(from + 'T00:00:00Z')) / DAY_MS);
+  }
+
+  function isFinancedPayment(p) {
+    return p && p.payment_method_type === 'claritypay' && parseFloat(p.final_amount || 0) > 0;
+  }
+
+  function dealStatus(p, manualDefaults) {
+    if (manualDefaults.has(p.id) || p.status === 'void') return 'defaulted';
+    if (p.status === 'paid' && parseFloat(p.refunded_amount || 0) >= parseFloat(p.final_amount || 0)) return 'refunded';
+    return p.status || 'open';
+  }
+
+  /**
+   * Fold the current Whop payments into the stored deals. A status change is
+   * appended to the deal's history with `today` as its date; deals that have
+   * disappeared from Whop are kept unchanged.
+   */
+  function updateDeals(existingDeals, whopPayments, today, config) {
+    const cfg = withDefaults(config);
+    const manualDefaults = new Map((cfg.defaults || []).map(d => [d.id, d.date || today]));
+    const deals = new Map((existingDeals || []).map(d => [d.id, { ...d, history: [...(d.history || [])] }]));
+
+    (whopPayments || []).filter(isFinancedPayment).forEach(p => {
+      const status = dealStatus(p, manualDefaults);
+      const bookedDate = toDate(p.created_at) || toDate(p.paid_at) || today;
+      const deal = deals.get(p.id) || {
+        id: p.id,
+        booked_date: bookedDate,
+        status: null,
+        status_since: null,
+        paid_date: null,
+        defaulted_date: null,
+        history: [],
+      };
+      deal.product = (p.product && p.product.title) || p.product_id || deal.product || '';
+      deal.customer = p.user_hash || deal.customer || '';
+      deal.amount = parseFloat(p.final_amount) || 0;
+      deal.refunded = parseFloat(p.refunded_amount || 0);
+
+      if (deal.status !== status) {
+        // First sighting of an already-paid deal: date it by Whop's paid_at, not today
+        const since = status === 'paid' ? (toDate(p.paid_at) || today)
+          : status === 'defaulted' ? (manualDefaults.get(p.id) || today)
+          : (deal.status === null ? bookedDate : today);
+        deal.history.push({ status, date: since });
+        deal.status = status;
+        deal.status_since = since;
+        if (status === 'paid') deal.paid_date = since;
+        if (status === 'defaulted') deal.defaulted_date = since;
+      }
+      deals.set(p.id, deal);
+    });
+
+    return [...deals.values()].sort((a, b) => b.booked_date.localeCompare(a.booked_date) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Outstanding balance, expected collection dates and collected vs booked.
+   * A deal is `stuck` when it has sat in open/pending longer than
+   * `stuck_after_days`; the dashboard leaves stuck deals out of profit.
+   */
+  function summarize(deals, today, config) {
+    const cfg = withDefaults(config);
+    const rows = (deals || []).map(d => {
+      const open = OPEN_STATUSES.includes(d.status);
+      const age = open ? daysBetween(d.status_since || d.booked_date, today) : null;
+      const expected = d.status === 'paid' ? d.paid_date
+        : open ? addDays(d.booked_date, cfg.expected_collection_days) : null;
+      return {
+        ...d,
+        open,
+        age,
+        expected_date: expected,
+        overdue: open && expected < today,
+        stuck: open && age > cfg.stuck_after_days,
+        outstanding: open ? round2(d.amount - (d.refunded || 0)) : 0,
+      };
+    });
+
+    const sum = (list, fn) => round2(list.reduce((s, d) => s + fn(d), 0));
+    const booked = rows.filter(d => d.status !== 'refunded');
+    const openRows = rows.filter(d => d.open);
+    return {
+      deals: rows,
+      booked: sum(booked, d => d.amount - (d.refunded || 0)),
+      collected: sum(rows.filter(d => d.status === 'paid'), d => d.amount - (d.refunded || 0)),
+      outstanding: sum(openRows, d => d.outstanding),
+      defaulted: sum(rows.filter(d => d.status === 'defaulted'), d => d.amount),
+      stuck: openRows.filter(d => d.stuck),
+      stuckAmount: sum(openRows.filter(d => d.stuck), d => d.outstanding),
+      // Open deals by expected collection date, soonest first
+      upcoming: openRows.slice().sort((a, b) => a.expected_date.localeCompare(b.expected_date)),
+    };
+  }
+
+  /**
+   * Deals as they stood at the end of `date`, from their status history: deals
+   * booked later are left out, and each one has the last status it had on or
+   * before `date` (open since booking when its first recorded change is later).
+   */
+  function asOf(deals, date) {
+    return (deals || []).filter(d => d.booked_date <= date).map(d => {
+      if (!(d.history || []).length) return d;
+      const past = d.history.filter(h => h.date <= date);
+      const last = past.length ? past[past.length - 1] : { status: 'open', date: d.booked_date };
+      return {
+        ...d,
+        status: last.status,
+        status_since: last.date,
+        paid_date: last.status === 'paid' ? d.paid_date : null,
+        defaulted_date: last.status === 'defaulted' ? d.defaulted_date : null,
+      };
+    });
+  }
+
+  /**
+   * Whop payment ids held back from revenue as of a date: deals stuck or
+   * defaulted at that point (see summarize). Returns date → Set, so each
+   * period is judged as of its own end and a past month doesn't change when
+   * a deal's status does later; dates after `today` are judged as of today.
+   */
+  function heldBackAsOf(deals, today, config) {
+    const cache = new Map();
+    return (date) => {
+      const at = date && date < today ? date : today;
+      if (!cache.has(at)) {
+        const { deals: rows } = summarize(asOf(deals, at), at, config);
+        cache.set(at, new Set(rows.filter(d => d.stuck || d.status === 'defaulted').map(d => d.id)));
+      }
+      return cache.get(at);
+    };
+  }
+
+  return {
+    DEFAULT_CONFIG,
+    isFinancedPayment,
+    updateDeals,
+    summarize,
+    asOf,
+    heldBackAsOf,
+  };
+});
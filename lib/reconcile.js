@@ -0,0 +1,142 @@
+/**
+ * Agency reconciliation: does estimated commission turn into TikTok payouts?
+ *
+ *   windows     est. commission (agency-data.json daily_analytics) against the
+ *               settled and paid totals of the distribution statements over
+ *               rolling windows ending today. Commission is read `lag_days`
+ *               earlier than the payouts, since orders settle after they're placed
+ *   mismatches  statements whose amount_paid differs from settlement_amount
+ *   duplicates  Distribution Payouts sheet rows that repeat an API statement —
+ *               same amount within `duplicate_days` — and so count it twice
+ *
+ * Shared by index.html (window.SVReconcile) and scripts/reconcile-report.mjs.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./periods.js'));
+  else root.SVReconcile = factory(root.SVPeriods);
+})(typeof self !== 'undefined' ? self : this, function (Periods) {
+  const DEFAULT_OPTIONS = {
+    windows: [30, 60, 90],
+    lag_days: 0,
+    tolerance: 0.01,        // $ difference that still counts as equal
+    duplicate_days: 3,
+    min_paid_ratio: 0.9,    // a window paying less than this share of est. commission is flagged
+  };
+
+  const round2 = (n) => Math.round(n * 100) / 100;
+  const sum = (rows, key) => rows.reduce((s, r) => s + (r[key] || 0), 0);
+  const daysApart = (a, b) => Periods.dayCount(a < b ? { from: a, to: b } : { from: b, to: a }) - 1;
+
+  function windowRow(days, { dailyAnalytics, distPayouts, sheetRows }, today, opts) {
+    const bounds = { from: Periods.addDays(today, 1 - days), to: today };
+    const commissionBounds = {
+      from: Periods.addDays(bounds.from, -opts.lag_days),
+      to: Periods.addDays(bounds.to, -opts.lag_days),
+    };
+    const analytics = dailyAnalytics.filter(d => Periods.inRange(d.date, commissionBounds));
+    const statements = distPayouts.filter(p => Periods.inRange(p.date, bounds));
+    const estCommission = round2(sum(analytics, 'est_commission'));
+    const settled = round2(sum(statements, 'settlement_amount'));
+    const paid = round2(sum(statements, 'amount_paid'));
+    const ratio = estCommission > 0 ? paid / estCommission : null;
+    return {
+      days,
+      bounds,
+      commissionBounds,
+      analyticsDays: analytics.length,
+      estCommission,
+      settled,
+      paid,
+      sheetOnly: round2(sum(sheetRows.filter(r => Periods.inRange(r.date, bounds)), 'amount')),
+      statements: statements.length,
+      ratio,
+      short: ratio !== null && ratio < opts.min_paid_ratio,
+    };
+  }
+
+  /**
+   * `input`: { dailyAnalytics, distPayouts (API statements, agency-data.json shape),
+   *            sheetDistPayouts ({ id, date, amount, type, notes }) }
+   * → { windows, mismatches, duplicates, duplicateTotal, options }
+   */
+  function reconcile({ dailyAnalytics = [], distPayouts = [], sheetDistPayouts = [] }, today, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const near = (a, b) => Math.abs(a - b) <= opts.tolerance;
+
+    const mismatches = distPayouts
+      .filter(p => !near(p.settlement_amount || 0, p.amount_paid || 0))
+      .map(p => ({
+        statement_id: p.statement_id,
+        date: p.date,
+        settlement_amount: p.settlement_amount || 0,
+        amount_paid: p.amount_paid || 0,
+        difference: round2((p.amount_paid || 0) - (p.settlement_amount || 0)),
+      }))
+      .sort((a, b) => b.date.localeCompare(a.date));
+
+    // Each statement absorbs at most one sheet row, the closest in date
+    const claimed = new Set();
+    const duplicates = [];
+    [...sheetDistPayouts].sort((a, b) => a.date.localeCompare(b.date)).forEach(row => {
+      const gap = (p) => daysApart(row.date, p.date);
+      const match = distPayouts
+        .filter(p => !claimed.has(p.statement_id) && gap(p) <= opts.duplicate_days &&
+          (near(row.amount, p.amount_paid || 0) || near(row.amount, p.settlement_amount || 0)))
+        .sort((a, b) => gap(a) - gap(b))[0];
+      if (!match) return;
+      claimed.add(match.statement_id);
+      duplicates.push({ sheet: row, statement_id: match.statement_id, statement_date: match.date, amount: row.amount });
+    });
+    const duplicateIds = new Set(duplicates.map(d => d.sheet.id));
+    const sheetRows = sheetDistPayouts.filter(r => !duplicateIds.has(r.id));
+
+    return {
+      windows: opts.windows.map(days => windowRow(days, { dailyAnalytics, distPayouts, sheetRows }, today, opts)),
+      mismatches,
+      duplicates: duplicates.sort((a, b) => b.sheet.date.localeCompare(a.sheet.date)),
+      duplicateTotal: round2(duplicates.reduce((s, d) => s + d.amount, 0)),
+      options: opts,
+    };
+  }
+
+  const usd = (n) => `${n < 0 ? '-' : ''}$${Math.abs(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+  function toMarkdown(result, today) {
+    const out = [`# Agency reconciliation (${today})`, ''];
+    const lag = result.options.lag_days;
+    out.push('## Est. commission vs payouts', '');
+    out.push(`Commission read ${lag} day${lag !== 1 ? 's' : ''} before each payout window. Flagged (⚠️) when paid is under ${Math.round(result.options.min_paid_ratio * 100)}% of est. commission.`, '');
+    out.push('| Window | Est. commission | Settled | Paid | Paid ÷ est. | Sheet-only payouts |');
+    out.push('|---|---:|---:|---:|---:|---:|');
+    result.windows.forEach(w => {
+      const ratio = w.ratio === null ? '—' : `${(w.ratio * 100).toFixed(1)}%${w.short ? ' ⚠️' : ''}`;
+      out.push(`| Last ${w.days} days (${w.bounds.from} → ${w.bounds.to}) | ${usd(w.estCommission)} | ${usd(w.settled)} | ${usd(w.paid)} | ${ratio} | ${usd(w.sheetOnly)} |`);
+    });
+    if (result.windows.some(w => w.analyticsDays === 0)) {
+      out.push('', '_No daily analytics in some windows — est. commission there is unknown, not zero._');
+    }
+
+    out.push('', `## Settlement ≠ paid (${result.mismatches.length})`, '');
+    if (!result.mismatches.length) out.push('Every statement was paid its settlement amount.');
+    else {
+      out.push('| Statement | Date | Settlement | Paid | Difference |', '|---|---|---:|---:|---:|');
+      result.mismatches.forEach(m => out.push(`| ${m.statement_id} | ${m.date} | ${usd(m.settlement_amount)} | ${usd(m.amount_paid)} | ${usd(m.difference)} |`));
+    }
+
+    out.push('', `## Sheet rows duplicating API statements (${result.duplicates.length})`, '');
+    if (!result.duplicates.length) out.push('No Distribution Payouts sheet row repeats an API statement.');
+    else {
+      out.push(`These are counted twice in agency gross (${usd(result.duplicateTotal)} extra). Delete them from the sheet.`, '');
+      out.push('| Sheet date | Amount | Notes | Statement | Statement date |', '|---|---:|---|---|---|');
+      result.duplicates.forEach(d => out.push(`| ${d.sheet.date} | ${usd(d.amount)} | ${d.sheet.notes || ''} | ${d.statement_id} | ${d.statement_date} |`));
+    }
+    out.push('');
+    return out.join('\n');
+  }
+
+  return {
+    DEFAULT_OPTIONS,
+    reconcile,
+    toMarkdown,
+  };
+});
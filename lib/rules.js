@@ -0,0 +1,97 @@
+/**
+ * Date-effective compensation and fee rules.
+ *
+ * Rule sets live in config/rules.json, each with an `effective_from` date. A
+ * transaction is costed with the set in force on its own date, so adding a new
+ * set (instead of editing the old one) never restates past periods.
+ *
+ *   marketing_rev_share    media buyer share of Info + Whop revenue (net of refunds)
+ *   sales_commission_rate  sales team share of high-ticket payments…
+ *   sales_commission_over  …i.e. payments strictly above this amount
+ *   agency_manager_cut     agency manager share of agency gross (distribution payouts)
+ *   clarity_pay_fee        Clarity Pay financing fee on claritypay Whop payments
+ *
+ * Shared by index.html (window.SVRules) and Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SVRules = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Used when config/rules.json can't be loaded — the rates in force at launch
+  const DEFAULT_RULE_SETS = [
+    {
+      effective_from: '2026-01-28',
+      label: 'Launch comp plan',
+      marketing_rev_share: 0.05,
+      sales_commission_rate: 0.20,
+      sales_commission_over: 999,
+      agency_manager_cut: 0.15,
+      clarity_pay_fee: 0.20,
+    },
+  ];
+  const RATE_KEYS = ['marketing_rev_share', 'sales_commission_rate', 'agency_manager_cut', 'clarity_pay_fee'];
+
+  /**
+   * Oldest first. Each set inherits anything it leaves out from the set before
+   * it, so a new set only needs the rates that change.
+   */
+  function normalize(config) {
+    const sets = (config && Array.isArray(config.rule_sets) && config.rule_sets.length)
+      ? config.rule_sets : DEFAULT_RULE_SETS;
+    const sorted = [...sets].sort((a, b) => a.effective_from.localeCompare(b.effective_from));
+    let previous = DEFAULT_RULE_SETS[0];
+    return sorted.map(set => {
+      previous = { ...previous, label: '', ...set };
+      return previous;
+    });
+  }
+
+  // The set in force on `date` (YYYY-MM-DD); dates before the first set use the first
+  function ruleFor(ruleSets, date) {
+    let match = ruleSets[0];
+    for (const set of ruleSets) {
+      if (set.effective_from <= (date || '')) match = set;
+    }
+    return match;
+  }
+
+  // Every set in force at some point between `from` and `to` (inclusive)
+  function rulesInRange(ruleSets, from, to) {
+    return ruleSets.filter((set, i) => {
+      const next = ruleSets[i + 1];
+      const endsBefore = next && next.effective_from <= from;
+      return !endsBefore && (i === 0 || set.effective_from <= to);
+    });
+  }
+
+  const marketingCommission = (ruleSets, date, amount) => amount * ruleFor(ruleSets, date).marketing_rev_share;
+
+  function salesCommission(ruleSets, date, amount) {
+    const rules = ruleFor(ruleSets, date);
+    return amount > rules.sales_commission_over ? amount * rules.sales_commission_rate : 0;
+  }
+
+  const managerCut = (ruleSets, date, amount) => amount * ruleFor(ruleSets, date).agency_manager_cut;
+  const clarityFee = (ruleSets, date, amount) => amount * ruleFor(ruleSets, date).clarity_pay_fee;
+
+  // "5%", or "5–7%" when the range spans sets with different rates
+  function describeRate(sets, key) {
+    const values = [...new Set(sets.map(s => s[key]))].sort((a, b) => a - b);
+    const pct = (v) => `${+(v * 100).toFixed(2)}%`;
+    if (values.length === 0) return '';
+    return values.length === 1 ? pct(values[0]) : `${pct(values[0])}–${pct(values[values.length - 1])}`;
+  }
+
+  return {
+    DEFAULT_RULE_SETS,
+    RATE_KEYS,
+    normalize,
+    ruleFor,
+    rulesInRange,
+    marketingCommission,
+    salesCommission,
+    managerCut,
+    clarityFee,
+    describeRate,
+  };
+});
@@ -0,0 +1,234 @@
+/**
+ * Google Sheets tabs, read against a declared schema per tab.
+ *
+ * Each schema lists the tab's columns with a type and, for dates, the format
+ * the tab is expected to use. read() turns the tab's CSV export into rows of
+ * clean values and reports every row it had to fix or drop:
+ *
+ *   coerced   the value was usable but not in the declared shape — a date in
+ *             another known format, "$1,200.00" for a number, a malformed email
+ *             (dropped) — and was normalized
+ *   rejected  a required value is missing or unreadable; the row is left out
+ *
+ * The dashboard's "Data issues" panel shows these instead of silently skipping
+ * rows. Keys match the source keys in lib/sources.js.
+ *
+ * Shared by index.html (window.SVSheets) and Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./csv.js'));
+  else root.SVSheets = factory(root.SVCsv);
+})(typeof self !== 'undefined' ? self : this, function (Csv) {
+  // Recognized date formats → [year, month, day]
+  const DATE_FORMATS = {
+    'YYYY-MM-DD': /^(\d{4})-(\d{2})-(\d{2})$/,
+    'YYYY-MM-DDTHH:MM': /^(\d{4})-(\d{2})-(\d{2})[T ]\d{2}:\d{2}/,
+    'M/D/YYYY': /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/,
+    'YYYYMMDD': /^(\d{4})(\d{2})(\d{2})$/,
+  };
+  // Timestamps with a UTC offset ("2026-02-03T03:00:00Z") are dated in business days (PST), like the dashboard
+  const ZONED_TIMESTAMP = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+  const BUSINESS_DAY = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles', year: 'numeric', month: '2-digit', day: '2-digit' });
+  // Issues kept per sheet for display (stats count every row)
+  const MAX_EXAMPLES = 50;
+  // Daily ad spend — one tab (or CSV) per channel, all in the TikTok expenses layout
+  const SPEND_COLUMNS = [
+    { name: 'date', type: 'date', formats: ['M/D/YYYY'], required: true },
+    { name: 'amount', type: 'money', required: true },
+  ];
+
+  const SCHEMAS = {
+    sales_sheet: {
+      label: 'Sales',
+      columns: [
+        { name: 'date', type: 'date', formats: ['YYYY-MM-DD'], required: true },
+        { name: 'offer', type: 'string' },
+        { name: 'revenue', type: 'money', required: true },
+        { name: 'customer email', type: 'email' },
+        { name: 'source', type: 'string' },
+      ],
+    },
+    booked_calls: {
+      label: 'Booked calls',
+      columns: [
+        { name: 'date', type: 'date', formats: ['YYYY-MM-DDTHH:MM', 'YYYY-MM-DD'], required: true },
+        { name: 'name', type: 'string' },
+        { name: 'email', type: 'email' },
+        { name: 'event type', type: 'string' },
+      ],
+    },
+    tiktok_expenses: {
+      label: 'TikTok expenses',
+      columns: SPEND_COLUMNS,
+    },
+    meta_spend: {
+      label: 'Meta spend',
+      columns: SPEND_COLUMNS,
+    },
+    google_spend: {
+      label: 'Google spend',
+      columns: SPEND_COLUMNS,
+    },
+    ga4_sessions: {
+      label: 'GA4 sessions',
+      // GA4 exports open with "# ..." report header lines
+      comment: '#',
+      columns: [
+        { name: 'date', type: 'date', formats: ['YYYYMMDD'], required: true },
+        { name: 'sessions', type: 'int', required: true },
+      ],
+    },
+    dist_payouts_sheet: {
+      label: 'Distribution Payouts',
+      columns: [
+        { name: 'date', type: 'date', formats: ['YYYY-MM-DD'], required: true },
+        { name: 'amount', type: 'money', required: true },
+        { name: 'type', type: 'string' },
+        { name: 'notes', type: 'string' },
+      ],
+    },
+  };
+
+  const pad = (n) => String(n).padStart(2, '0');
+
+  function matchDate(value, format) {
+    const m = value.match(DATE_FORMATS[format]);
+    if (!m) return null;
+    const [y, mo, d] = format === 'M/D/YYYY' ? [m[3], m[1], m[2]] : [m[1], m[2], m[3]];
+    const date = new Date(Date.UTC(+y, +mo - 1, +d));
+    // Rejects 2/30/2026 and friends rather than rolling them over
+    if (date.getUTCMonth() !== +mo - 1 || date.getUTCDate() !== +d) return null;
+    if (ZONED_TIMESTAMP.test(value)) {
+      const ms = Date.parse(value.replace(' ', 'T'));
+      if (!isNaN(ms)) return BUSINESS_DAY.format(ms);
+    }
+    return `${y}-${pad(mo)}-${pad(d)}`;
+  }
+
+  // Each parser returns { value } or { value, coerced: why } or { rejected: why }
+  const PARSERS = {
+    string: (raw) => ({ value: raw }),
+
+    date(raw, column) {
+      for (const format of column.formats) {
+        const value = matchDate(raw, format);
+        if (value) return { value };
+      }
+      for (const format of Object.keys(DATE_FORMATS)) {
+        const value = matchDate(raw, format);
+        if (value) return { value, coerced: `date in ${format} format, expected ${column.formats[0]}` };
+      }
+      return { rejected: 'not a valid date' };
+    },
+
+    money(raw) {
+      const cleaned = raw.replace(/[$,\s]/g, '');
+      if (!/^-?\d*\.?\d+$/.test(cleaned)) return { rejected: 'not a number' };
+      const value = parseFloat(cleaned);
+      if (value < 0) return { rejected: 'negative amount' };
+      return cleaned === raw ? { value } : { value, coerced: 'currency symbol or separators removed' };
+    },
+
+    int(raw) {
+      const cleaned = raw.replace(/[,\s]/g, '');
+      if (!/^\d+$/.test(cleaned)) return { rejected: 'not a whole number' };
+      const value = parseInt(cleaned, 10);
+      return cleaned === raw ? { value } : { value, coerced: 'thousands separators removed' };
+    },
+
+    email(raw) {
+      if (/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(raw)) return { value: raw };
+      return { value: '', coerced: 'malformed email dropped' };
+    },
+  };
+
+  /**
+   * Parse one tab's CSV against its schema.
+   * → { sheet, label, rows, issues: [{ line, column, value, problem, action }], stats }
+   */
+  function read(sheet, csv) {
+    const schema = SCHEMAS[sheet];
+    if (!schema) throw new Error(`Unknown sheet "${sheet}"`);
+    const result = { sheet, label: schema.label, rows: [], issues: [], stats: { rows: 0, rejected: 0, coerced: 0 } };
+    const issue = (i) => { if (result.issues.length < MAX_EXAMPLES) result.issues.push(i); };
+
+    let records = Csv.parseRecords(csv).filter(r => r.some(v => v.trim()));
+    if (schema.comment) records = records.filter(r => !r[0].trim().startsWith(schema.comment));
+    if (records.length === 0) return result;
+
+    // A first row that already holds data means the tab has no header: use schema order
+    const firstColumn = schema.columns[0];
+    const headerless = firstColumn.type === 'date' && PARSERS.date(records[0][0].trim(), firstColumn).value;
+    const headers = headerless ? schema.columns.map(c => c.name) : records[0].map(h => h.trim().toLowerCase());
+    const missing = schema.columns.filter(c => c.required && !headers.includes(c.name));
+    if (missing.length) {
+      result.stats.rows = records.length - 1;
+      result.stats.rejected = result.stats.rows;
+      issue({ line: records[0].line, column: missing[0].name, value: '', problem: `missing column "${missing.map(c => c.name).join('", "')}"`, action: 'rejected' });
+      return result;
+    }
+
+    const dataRecords = headerless ? records : records.slice(1);
+    dataRecords.forEach(record => {
+      result.stats.rows++;
+      const row = {};
+      headers.forEach((h, idx) => row[h] = (record[idx] || '').trim());
+      let rejected = false;
+      let coerced = false;
+      schema.columns.forEach(column => {
+        if (rejected) return;
+        const raw = row[column.name] || '';
+        if (raw === '') {
+          if (column.required) {
+            rejected = true;
+            issue({ line: record.line, column: column.name, value: '', problem: `missing ${column.name}`, action: 'rejected' });
+          }
+          return;
+        }
+        const parsed = PARSERS[column.type](raw, column);
+        if (parsed.rejected) {
+          rejected = true;
+          issue({ line: record.line, column: column.name, value: raw, problem: parsed.rejected, action: 'rejected' });
+          return;
+        }
+        if (parsed.coerced) {
+          coerced = true;
+          issue({ line: record.line, column: column.name, value: raw, problem: parsed.coerced, action: 'coerced' });
+        }
+        row[column.name] = parsed.value;
+      });
+      if (rejected) result.stats.rejected++;
+      else {
+        if (coerced) result.stats.coerced++;
+        result.rows.push(row);
+      }
+    });
+    return result;
+  }
+
+  // ——— Rows in the shapes the dashboard works with (anything before `dataStart` dropped) ———
+
+  function bookedCalls(rows, dataStart) {
+    return rows.filter(r => r.date >= dataStart).map((r, idx) => ({
+      id: idx, date: r.date, name: r.name || '', email: r.email || '', eventType: r['event type'] || ''
+    }));
+  }
+
+  // Any of the ad spend tabs (tiktok_expenses, meta_spend, google_spend)
+  function adSpend(rows, dataStart) {
+    return rows.filter(r => r.date >= dataStart && r.amount > 0).map((r, idx) => ({ id: idx, date: r.date, amount: r.amount }));
+  }
+
+  function ga4Sessions(rows, dataStart) {
+    return rows.filter(r => r.date >= dataStart && r.sessions > 0).map(r => ({ date: r.date, sessions: r.sessions }));
+  }
+
+  return {
+    SCHEMAS,
+    DATE_FORMATS,
+    read,
+    bookedCalls,
+    adSpend,
+    ga4Sessions,
+  };
+});
@@ -0,0 +1,167 @@
+/**
+ * Where the dashboard's data comes from.
+ *
+ * config/data-sources.json defines named profiles. Each maps a source key to a
+ * URL or repo-relative path, or to a Google Sheet tab — { "gid": "..." } and/or
+ * { "sheet": "Tab name" }, using the profile's `sheet_id` unless the entry sets
+ * its own. A source left out of a profile (or null) is treated as unavailable.
+ *
+ * The built-in "local" profile reads the sample files in fixtures/, so the
+ * whole dashboard runs offline from a static server (index.html?data=local).
+ * Its users (fixtures/users.json) have published passphrases, so the page only
+ * accepts it, or any profile reading users from fixtures/, on localhost.
+ *
+ * Shared by index.html (window.SVSources) and Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SVSources = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const SOURCE_KEYS = [
+    'transactions',        // Kajabi sales (transactions.json)
+    'sales_sheet',         // sales added after the Kajabi export
+    'booked_calls',
+    'tiktok_expenses',     // daily ad spend per channel
+    'meta_spend',
+    'google_spend',
+    'ga4_sessions',
+    'agency',              // agency-data.json
+    'dist_payouts_sheet',  // manually tracked distribution payouts
+    'statement_details',   // statement-details.json (line items behind each distribution payout)
+    'whop',                // whop-payments.json
+    'ledger',              // ledger.json (scripts/build-ledger.mjs)
+    'receivables',         // receivables.json (scripts/update-receivables.mjs)
+    'sync_status',         // sync-status/ folder, one file per job (outcome of each ingestion script's last run)
+    'users',               // dashboard users
+    'goals',               // monthly targets (lib/goals.js)
+  ];
+
+  const LOCAL_PROFILE = {
+    label: 'Local fixtures',
+    sources: {
+      transactions: 'fixtures/transactions.json',
+      sales_sheet: 'fixtures/sales.csv',
+      booked_calls: 'fixtures/booked-calls.csv',
+      tiktok_expenses: 'fixtures/tiktok-expenses.csv',
+      meta_spend: 'fixtures/meta-spend.csv',
+      google_spend: 'fixtures/google-spend.csv',
+      ga4_sessions: 'fixtures/ga4-sessions.csv',
+      agency: 'fixtures/agency-data.json',
+      dist_payouts_sheet: 'fixtures/distribution-payouts.csv',
+      statement_details: 'fixtures/statement-details.json',
+      whop: 'fixtures/whop-payments.json',
+      // No ledger / receivables: the dashboard derives both from the fixtures above
+      ledger: null,
+      receivables: null,
+      sync_status: 'fixtures/sync-status',
+      users: 'fixtures/users.json',
+      goals: 'fixtures/goals.json',
+    },
+  };
+
+  // Used when config/data-sources.json can't be loaded — the production sources
+  const DEFAULT_CONFIG = {
+    default_profile: 'live',
+    profiles: {
+      live: {
+        label: 'Live',
+        sheet_id: '1Bs7p1scYs5ZZXio-qdy88BEPEjMeU5Lc7eXiq2ePT5U',
+        sources: {
+          transactions: 'https://raw.githubusercontent.com/ryanrigneyfba/kajabi-tracker/main/transactions.json',
+          sales_sheet: {},
+          booked_calls: { gid: '691644011' },
+          tiktok_expenses: { gid: '513847686' },
+          meta_spend: { sheet: 'Meta Spend' },
+          google_spend: { sheet: 'Google Spend' },
+          ga4_sessions: { gid: '240030115' },
+          agency: 'https://raw.githubusercontent.com/ryanrigneyfba/kajabi-tracker/main/agency-data.json',
+          dist_payouts_sheet: { gid: '0', sheet: 'Distribution Payouts' },
+          statement_details: 'statement-details.json',
+          whop: 'whop-payments.json',
+          ledger: 'ledger.json',
+          receivables: 'receivables.json',
+          sync_status: 'sync-status',
+          users: 'config/users.json',
+          goals: 'config/goals.json',
+        },
+      },
+    },
+  };
+
+  // CSV export URL of a sheet tab
+  function sheetUrl({ sheet_id, gid, sheet }) {
+    let url = `https://docs.google.com/spreadsheets/d/${sheet_id}/gviz/tq?tqx=out:csv`;
+    if (gid !== undefined && gid !== null) url += `&gid=${gid}`;
+    if (sheet) url += `&sheet=${encodeURIComponent(sheet).replace(/%20/g, '+')}`;
+    return url;
+  }
+
+  /**
+   * URLs for one profile: { profile, label, urls: { <source key>: url | null } }.
+   * `name` falls back to the config's default_profile. Throws on an unknown profile.
+   */
+  function resolve(config, name) {
+    const cfg = config && config.profiles ? config : DEFAULT_CONFIG;
+    const profiles = { local: LOCAL_PROFILE, ...cfg.profiles };
+    const profileName = name || cfg.default_profile || 'live';
+    const profile = profiles[profileName];
+    if (!profile) throw new Error(`Unknown data profile "${profileName}" (expected one of: ${Object.keys(profiles).join(', ')})`);
+
+    const urls = {};
+    SOURCE_KEYS.forEach(key => {
+      const src = (profile.sources || {})[key];
+      if (src && typeof src === 'object') urls[key] = sheetUrl({ sheet_id: profile.sheet_id, ...src });
+      else urls[key] = src || null;
+    });
+    return { profile: profileName, label: profile.label || profileName, urls };
+  }
+
+  const isRemote = (url) => /^https?:\/\//.test(url);
+
+  const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+  const isLocalHost = (hostname) => LOCAL_HOSTS.includes(String(hostname || '').toLowerCase());
+
+  /**
+   * resolve() for a page served from `hostname`. Off localhost, the local
+   * profile and any profile taking its users from fixtures/ throw, since
+   * anyone could log in with the fixture credentials.
+   */
+  function resolveForHost(config, name, hostname) {
+    const resolved = resolve(config, name);
+    const fixtureUsers = /^(\.\/)?fixtures\//.test(resolved.urls.users || '');
+    if (!isLocalHost(hostname) && (resolved.profile === 'local' || fixtureUsers)) {
+      throw new Error(`The "${resolved.profile}" data profile only runs on localhost`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Repo-relative path for a source that is a file in this repo — a plain path,
+   * or this repo's raw.githubusercontent.com URL — so Node scripts read the
+   * checked-out file instead of fetching it. null for anything else.
+   */
+  function repoPath(url) {
+    if (!url) return null;
+    const raw = url.match(/^https:\/\/raw\.githubusercontent\.com\/[^/]+\/[^/]+\/[^/]+\/([^?]+)/);
+    if (raw) return raw[1];
+    return isRemote(url) ? null : url;
+  }
+
+  // Cache-busted URL for the browser (GitHub Pages and the sheets both cache)
+  function withCacheBust(url, now = Date.now()) {
+    return url + (url.includes('?') ? '&' : '?') + 't=' + now;
+  }
+
+  return {
+    SOURCE_KEYS,
+    LOCAL_PROFILE,
+    DEFAULT_CONFIG,
+    sheetUrl,
+    resolve,
+    resolveForHost,
+    isRemote,
+    isLocalHost,
+    repoPath,
+    withCacheBust,
+  };
+});
@@ -0,0 +1,114 @@
+/**
+ * TikTok distribution payout statements, line by line.
+ *
+ * agency-data.json only has each statement's id and total. The order-level
+ * lines behind a statement are kept in statement-details.json by
+ * scripts/fetch-tiktok-data.mjs (statements are final once paid, so each one
+ * is stored once it comes back complete):
+ *
+ *   { updated_at, statements: { "<statement_id>": { fetched_at, lines: [line] } } }
+ *
+ *   line: { order_id, date, creator, product, gmv, commission, deductions, amount }
+ *
+ *   commission  what the order earned the agency
+ *   deductions  refunds and fees taken back (a positive number)
+ *   amount      the line's net in the statement (commission − deductions)
+ *
+ * Shared by index.html (window.SVStatements) and Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SVStatements = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const round2 = (n) => Math.round(n * 100) / 100;
+
+  // Partner Center amounts come as numbers, numeric strings or { amount, currency }
+  function num(value) {
+    if (value && typeof value === 'object') value = value.amount ?? value.value;
+    const n = parseFloat(value);
+    return isNaN(n) ? 0 : n;
+  }
+
+  // Partner Center timestamps are epoch milliseconds (as in payout_info.payment_time)
+  function toDate(ts) {
+    if (!ts) return null;
+    const d = new Date(/^\d+$/.test(String(ts)) ? parseInt(ts, 10) : ts);
+    return isNaN(d.getTime()) ? null : d.toISOString().split('T')[0];
+  }
+
+  // Line field ← payout-detail (`order_info`) field. The one mapping used; a row without
+  // any of these fields is a different response shape, not a line with zeros.
+  const LINE_FIELDS = {
+    order_id: 'order_id',
+    date: 'create_time',
+    creator: 'creator_name',
+    product: 'product_name',
+    gmv: 'gmv',
+    commission: 'commission',
+    deductions: 'deduction_amount',
+    amount: 'settlement_amount',
+  };
+
+  // One Partner Center payout-detail row → line; throws when the row doesn't have the expected fields
+  function formatLine(raw) {
+    const missing = Object.values(LINE_FIELDS).filter(f => !raw || raw[f] === undefined);
+    if (missing.length) {
+      throw new Error(`Unexpected payout detail row: missing ${missing.join(', ')} (has: ${Object.keys(raw || {}).join(', ') || 'nothing'})`);
+    }
+    const f = LINE_FIELDS;
+    return {
+      order_id: String(raw[f.order_id]),
+      date: toDate(raw[f.date]),
+      creator: String(raw[f.creator] || ''),
+      product: String(raw[f.product] || ''),
+      gmv: round2(num(raw[f.gmv])),
+      commission: round2(num(raw[f.commission])),
+      deductions: round2(Math.abs(num(raw[f.deductions]))),
+      amount: round2(num(raw[f.amount])),
+    };
+  }
+
+  function groupBy(lines, key, fallback) {
+    const groups = new Map();
+    lines.forEach(l => {
+      const name = l[key] || fallback;
+      const g = groups.get(name) || { name, orders: new Set(), commission: 0, deductions: 0, amount: 0 };
+      if (l.order_id) g.orders.add(l.order_id);
+      g.commission += l.commission;
+      g.deductions += l.deductions;
+      g.amount += l.amount;
+      groups.set(name, g);
+    });
+    return [...groups.values()]
+      .map(g => ({ ...g, orders: g.orders.size, commission: round2(g.commission), deductions: round2(g.deductions), amount: round2(g.amount) }))
+      .sort((a, b) => b.amount - a.amount);
+  }
+
+  /**
+   * What makes up one statement. `total` is the statement's payout amount;
+   * `unexplained` is the part of it the lines don't account for.
+   * → { orders, lines, gmv, commission, deductions, amount, unexplained, byCreator, byProduct }
+   */
+  function summarize(detail, total) {
+    const lines = (detail && detail.lines) || [];
+    const sum = (key) => round2(lines.reduce((s, l) => s + (l[key] || 0), 0));
+    const amount = sum('amount');
+    return {
+      orders: new Set(lines.map(l => l.order_id).filter(Boolean)).size,
+      lines: lines.length,
+      gmv: sum('gmv'),
+      commission: sum('commission'),
+      deductions: sum('deductions'),
+      amount,
+      unexplained: round2((total || 0) - amount),
+      byCreator: groupBy(lines, 'creator', 'Unknown creator'),
+      byProduct: groupBy(lines, 'product', 'Unknown product'),
+    };
+  }
+
+  return {
+    LINE_FIELDS,
+    formatLine,
+    summarize,
+  };
+});
@@ -0,0 +1,148 @@
+/**
+ * Health of every data feed.
+ *
+ * Each ingestion script records the outcome of its run in its own file,
+ * sync-status/<script>.json (pathOf()):
+ *
+ *   { "<source>": { last_attempt, last_success, ok, records, error, error_class, detail } }
+ *
+ * One file per job means workflows running side by side never commit the same
+ * file, so their pushes rebase cleanly. The dashboard reads every file in FILES
+ * and combine()s them.
+ *
+ *   error_class  auth | missing_config | http | network | empty | incomplete | invalid | parse | error
+ *
+ * Some feeds (Kajabi transactions, the booked-calls / TikTok-spend / GA4 sheets) are
+ * only read by the dashboard itself; for those the page's own fetch is the signal.
+ * health() folds both into one row per feed for the dashboard's Source Health panel.
+ *
+ * Shared by index.html (window.SVSyncStatus) and Node scripts.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SVSyncStatus = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Every feed, in panel order. `stale_hours`: a sync job that hasn't succeeded for
+  // this long is flagged even if its last attempt didn't record an error.
+  const FEEDS = [
+    { key: 'transactions', label: 'Kajabi transactions', job: null },
+    { key: 'sales_sheet', label: 'Sales sheet', job: 'build-ledger.mjs', stale_hours: 6 },
+    { key: 'ledger', label: 'Revenue ledger', job: 'build-ledger.mjs', stale_hours: 6 },
+    { key: 'whop', label: 'Whop payments', job: 'sync-whop.mjs', stale_hours: 24 },
+    { key: 'receivables', label: 'Clarity Pay receivables', job: 'update-receivables.mjs', stale_hours: 24 },
+    { key: 'agency', label: 'TikTok payouts', job: 'fetch-tiktok-data.mjs', stale_hours: 24 },
+    { key: 'agency_analytics', label: 'TikTok affiliate analytics', job: 'fetch-tiktok-data.mjs', stale_hours: 24 },
+    { key: 'agency_breakdown', label: 'TikTok creator & product analytics', job: 'fetch-tiktok-data.mjs', stale_hours: 48 },
+    { key: 'statement_details', label: 'Payout line items', job: 'fetch-tiktok-data.mjs', stale_hours: 48 },
+    { key: 'dist_payouts_sheet', label: 'Distribution Payouts sheet', job: 'build-ledger.mjs', stale_hours: 6 },
+    { key: 'booked_calls', label: 'Booked calls sheet', job: null },
+    { key: 'tiktok_expenses', label: 'TikTok expenses sheet', job: null },
+    { key: 'meta_spend', label: 'Meta spend sheet', job: null },
+    { key: 'google_spend', label: 'Google spend sheet', job: null },
+    { key: 'ga4_sessions', label: 'GA4 sessions sheet', job: null },
+  ];
+  const HOUR_MS = 60 * 60 * 1000;
+
+  const STATUS_DIR = 'sync-status';
+  // "build-ledger.mjs" → "build-ledger.json"
+  const fileOfJob = (job) => job.replace(/\.mjs$/, '.json');
+  // Every job's status file name, in STATUS_DIR
+  const FILES = [...new Set(FEEDS.filter(f => f.job).map(f => fileOfJob(f.job)))];
+
+  // Status file a feed is recorded in (null for page-only feeds)
+  function pathOf(key) {
+    const feed = FEEDS.find(f => f.key === key);
+    return feed && feed.job ? `${STATUS_DIR}/${fileOfJob(feed.job)}` : null;
+  }
+
+  // The jobs' status files as one { "<source>": entry } object
+  function combine(statuses) {
+    return Object.assign({}, ...(statuses || []).filter(Boolean));
+  }
+
+  // Error → error_class, from the messages the scripts and fetch() produce
+  function classify(err) {
+    const message = String((err && err.message) || err || '');
+    if (message.startsWith('AUTH_EXPIRED')) return 'auth';
+    if (/HTTP \d{3}/.test(message)) return 'http';
+    if (err && err.name === 'SyntaxError') return 'parse';
+    if (/fetch failed|ENOTFOUND|ECONNRE|ETIMEDOUT|network/i.test(message)) return 'network';
+    return 'error';
+  }
+
+  const sameOutcome = (a, b) => ['ok', 'records', 'error', 'error_class', 'detail'].every(f => a[f] === b[f]);
+
+  /**
+   * Status with one source's run recorded (the input isn't modified).
+   * `result`: { ok, records, error, error_class, detail }; a failed run keeps the
+   * previous last_success and record count.
+   *
+   * A run with the same outcome as the stored one only moves the timestamps once
+   * half the feed's stale window has passed, so routine runs of an hourly job
+   * don't each leave a commit behind.
+   */
+  function record(status, key, result, now = new Date()) {
+    const previous = (status && status[key]) || {};
+    const at = now.toISOString();
+    const feed = FEEDS.find(f => f.key === key);
+    const refreshMs = ((feed && feed.stale_hours) || 2) / 2 * HOUR_MS;
+    const entry = result.ok
+      ? {
+        last_attempt: at,
+        last_success: at,
+        ok: true,
+        records: result.records ?? previous.records ?? null,
+        error: null,
+        error_class: null,
+        detail: result.detail || null,
+      }
+      : {
+        last_attempt: at,
+        last_success: previous.last_success || null,
+        ok: false,
+        records: previous.records ?? null,
+        error: result.error || 'failed',
+        error_class: result.error_class || classify(result.error),
+        detail: result.detail || null,
+      };
+    if (previous.last_attempt && sameOutcome(previous, entry) && now - new Date(previous.last_attempt) < refreshMs) {
+      return { ...(status || {}) };
+    }
+    return { ...(status || {}), [key]: entry };
+  }
+
+  /**
+   * One row per feed: { key, label, job, state, entry, page }.
+   *   state  ok | stale | error | off (not configured) | unknown (nothing recorded yet)
+   *   entry  the feed's sync-status record (null for page-only feeds)
+   *   page   this page load's fetch of the feed: { state: ok | error | off, error }
+   */
+  function health(status, pageFetches, now = new Date()) {
+    return FEEDS.map(feed => {
+      const entry = feed.job ? (status || {})[feed.key] || null : null;
+      const page = (pageFetches || {})[feed.key] || null;
+      let state = 'unknown';
+      if (entry) {
+        const sinceSuccess = entry.last_success ? now - new Date(entry.last_success) : Infinity;
+        if (!entry.ok) state = 'error';
+        else if (sinceSuccess > feed.stale_hours * HOUR_MS) state = 'stale';
+        else state = 'ok';
+      } else if (page) {
+        state = page.state;
+      }
+      if (state === 'ok' && page && page.state === 'error') state = 'error';
+      return { key: feed.key, label: feed.label, job: feed.job, state, entry, page };
+    });
+  }
+
+  return {
+    FEEDS,
+    STATUS_DIR,
+    FILES,
+    pathOf,
+    combine,
+    classify,
+    record,
+    health,
+  };
+});
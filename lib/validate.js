@@ -0,0 +1,278 @@
+/**
+ * Checks for the data files the workflows commit (agency-data.json,
+ * statement-details.json, whop-payments.json, transactions.json).
+ *
+ * Two layers:
+ *   schema     the file against its JSON Schema in config/schemas/ (the draft-07
+ *              keywords listed in validateSchema)
+ *   anomalies  per collection, as set up in config/validation.json:
+ *                duplicate  the same id more than once
+ *                overpaid   amount_paid greater than settlement_amount
+ *                future     dated more than a day after today (PST)
+ *                missing    a run of expected days with no entries in a daily series
+ *                jump       a day's total far above the recent median
+ *
+ * The day-based checks only look at the last `window_days` of each series, so an
+ * old gap doesn't block every later run. A finding that turns out to be real can
+ * be acknowledged under `ignore` ({ file, check, key, note }).
+ *
+ * Used by scripts/validate-data.mjs, which the data workflows run before committing.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./periods.js'));
+  else root.SVValidate = factory(root.SVPeriods);
+})(typeof self !== 'undefined' ? self : this, function (Periods) {
+  const DEFAULT_CONFIG = {
+    window_days: 14,
+    min_gap_days: 2,
+    jump_factor: 5,
+    jump_history_days: 10,
+    jump_min_amount: 50,
+    files: {}, // { <file>: { schema, collections } }, from config/validation.json
+    ignore: [],
+  };
+  // Findings listed per file in the report (the counts include all of them)
+  const MAX_LISTED = 50;
+  // A jump needs this many earlier days to compare against
+  const MIN_JUMP_HISTORY = 5;
+
+  function withDefaults(config) {
+    return { ...DEFAULT_CONFIG, ...(config || {}) };
+  }
+
+  const money = (n) => '$' + n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+  // ——— JSON Schema (draft-07 subset) ———
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  function typeMatches(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+  }
+
+  /**
+   * Errors for `value` against `schema`: [{ path, problem }].
+   * Supports type, required, properties, additionalProperties (false or a schema),
+   * items, enum, pattern, minLength and minimum.
+   */
+  function validateSchema(value, schema, path = '') {
+    const errors = [];
+    const at = path || '(root)';
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some(t => typeMatches(value, t))) {
+        return [{ path: at, problem: `expected ${types.join(' or ')}, got ${typeOf(value)}` }];
+      }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path: at, problem: `${JSON.stringify(value)} is not one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path: at, problem: 'is empty' });
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path: at, problem: `${JSON.stringify(value)} doesn't match ${schema.pattern}` });
+      }
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, problem: `${value} is below the minimum of ${schema.minimum}` });
+    }
+    if (typeOf(value) === 'object') {
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) errors.push({ path: at, problem: `missing "${key}"` });
+      });
+      const properties = schema.properties || {};
+      Object.keys(value).forEach(key => {
+        const child = path ? `${path}.${key}` : key;
+        if (properties[key]) errors.push(...validateSchema(value[key], properties[key], child));
+        else if (schema.additionalProperties === false) errors.push({ path: child, problem: 'unexpected field' });
+        else if (typeof schema.additionalProperties === 'object') errors.push(...validateSchema(value[key], schema.additionalProperties, child));
+      });
+    }
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, idx) => errors.push(...validateSchema(item, schema.items, `${path}[${idx}]`)));
+    }
+    return errors;
+  }
+
+  // ——— Anomalies ———
+
+  // Whop timestamps are unix seconds or ISO strings → YYYY-MM-DD (UTC)
+  function timestampDate(ts) {
+    if (ts === null || ts === undefined || ts === '') return null;
+    const d = typeof ts === 'number' ? new Date(ts * 1000) : new Date(ts);
+    return isNaN(d.getTime()) ? null : d.toISOString().split('T')[0];
+  }
+
+  const isISODate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  // Source dates may be UTC while today is PST, so one day ahead is allowed
+  const latestDate = (today) => Periods.addDays(today, 1);
+
+  const isWeekend = (date) => [0, 6].includes(new Date(date + 'T00:00:00Z').getUTCDay());
+
+  function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  // Sum of `amount` per day up to `latest`, oldest day first (future dates are reported on their own)
+  function dailyTotals(rows, collection, latest) {
+    const totals = new Map();
+    rows.forEach(row => {
+      const date = row[collection.date];
+      if (!isISODate(date) || date > latest) return;
+      totals.set(date, (totals.get(date) || 0) + (parseFloat(row[collection.amount]) || 0));
+    });
+    return [...totals.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+  }
+
+  function checkDuplicates(rows, collection) {
+    const counts = new Map();
+    rows.forEach(row => {
+      const id = row[collection.id];
+      if (id !== undefined && id !== null && id !== '') counts.set(id, (counts.get(id) || 0) + 1);
+    });
+    return [...counts.entries()].filter(([, n]) => n > 1).map(([id, n]) => ({
+      check: 'duplicate', key: String(id), where: `${collection.label} ${id}`, problem: `${collection.id} appears ${n} times`,
+    }));
+  }
+
+  function checkOverpaid(rows, collection) {
+    return rows.filter(row => typeof row[collection.paid] === 'number' && typeof row[collection.settled] === 'number'
+      && row[collection.paid] > row[collection.settled] + 0.005).map(row => {
+      const key = String(row[collection.id] ?? row[collection.date]);
+      return {
+        check: 'overpaid', key, where: `${collection.label} ${key}`,
+        problem: `${collection.paid} ${money(row[collection.paid])} is more than ${collection.settled} ${money(row[collection.settled])}`,
+      };
+    });
+  }
+
+  function checkFuture(rows, collection, today) {
+    const latest = latestDate(today);
+    const findings = [];
+    rows.forEach(row => {
+      const date = collection.timestamp ? timestampDate(row[collection.timestamp]) : row[collection.date];
+      if (!isISODate(date) || date <= latest) return;
+      const key = String(row[collection.id] ?? date);
+      findings.push({ check: 'future', key, where: `${collection.label} ${key}`, problem: `dated ${date}, after today (${today})` });
+    });
+    return findings;
+  }
+
+  function checkMissingDays(totals, collection, cfg) {
+    if (!totals.length || !collection.cadence) return [];
+    const last = totals[totals.length - 1][0];
+    const seen = new Set(totals.map(([date]) => date));
+    const findings = [];
+    let run = [];
+    const flush = () => {
+      if (run.length >= cfg.min_gap_days) {
+        findings.push({
+          check: 'missing', key: run[0], where: `${collection.label} ${run[0]} → ${run[run.length - 1]}`,
+          problem: `no entries for ${run.length} ${collection.cadence === 'weekdays' ? 'weekdays' : 'days'} in a row`,
+        });
+      }
+      run = [];
+    };
+    for (let date = Periods.addDays(last, 1 - cfg.window_days); date <= last; date = Periods.addDays(date, 1)) {
+      if (collection.cadence === 'weekdays' && isWeekend(date)) continue;
+      if (seen.has(date)) flush();
+      else run.push(date);
+    }
+    flush();
+    return findings;
+  }
+
+  function checkJumps(totals, collection, cfg) {
+    if (!totals.length || !collection.amount) return [];
+    const windowStart = Periods.addDays(totals[totals.length - 1][0], 1 - cfg.window_days);
+    const findings = [];
+    totals.forEach(([date, total], idx) => {
+      if (date < windowStart) return;
+      const history = totals.slice(Math.max(0, idx - cfg.jump_history_days), idx).map(([, t]) => t);
+      if (history.length < MIN_JUMP_HISTORY) return;
+      const typical = median(history);
+      if (typical < cfg.jump_min_amount) return;
+      const ratio = total / typical;
+      if (ratio <= cfg.jump_factor) return;
+      findings.push({
+        check: 'jump', key: date, where: `${collection.label} ${date}`,
+        problem: `day total ${money(total)} vs. a median of ${money(typical)} over the previous ${history.length} days (${ratio.toFixed(1)}×)`,
+      });
+    });
+    return findings;
+  }
+
+  function checkCollection(rows, collection, today, cfg) {
+    const totals = collection.date && collection.amount ? dailyTotals(rows, collection, latestDate(today)) : [];
+    return [
+      ...(collection.id ? checkDuplicates(rows, collection) : []),
+      ...(collection.paid && collection.settled ? checkOverpaid(rows, collection) : []),
+      ...(collection.date || collection.timestamp ? checkFuture(rows, collection, today) : []),
+      ...checkMissingDays(totals, collection, cfg),
+      ...checkJumps(totals, collection, cfg),
+    ].map(f => ({ ...f, collection: collection.label }));
+  }
+
+  /**
+   * All findings for one parsed data file.
+   * → { file, findings: [{ check, key, where, problem }], ignored: [...] }
+   * `schema` is the file's JSON Schema (null to skip that layer).
+   */
+  function checkFile(file, data, schema, today, config) {
+    const cfg = withDefaults(config);
+    const fileConfig = cfg.files[file] || { collections: [] };
+    const all = schema
+      ? validateSchema(data, schema).map(e => ({ check: 'schema', key: e.path, where: e.path, problem: e.problem }))
+      : [];
+    (fileConfig.collections || []).forEach(collection => {
+      const rows = collection.path ? (data || {})[collection.path] : data;
+      if (Array.isArray(rows)) all.push(...checkCollection(rows, collection, today, cfg));
+    });
+
+    const ignores = (cfg.ignore || []).filter(i => i.file === file);
+    const isIgnored = (f) => ignores.some(i => i.check === f.check && String(i.key) === f.key);
+    return { file, findings: all.filter(f => !isIgnored(f)), ignored: all.filter(isIgnored) };
+  }
+
+  // Readable report for the workflow run summary (or a terminal)
+  function toMarkdown(results, today) {
+    const failed = results.filter(r => r.findings.length);
+    const out = [`## Data validation — ${failed.length ? 'failed' : 'passed'} (${today})`, ''];
+    results.forEach(r => {
+      const ignored = r.ignored.length ? `, ${r.ignored.length} acknowledged in config/validation.json` : '';
+      if (!r.findings.length) {
+        out.push(`- **${r.file}**: OK${ignored}`);
+        return;
+      }
+      const byCheck = {};
+      r.findings.forEach(f => byCheck[f.check] = (byCheck[f.check] || 0) + 1);
+      const counts = Object.entries(byCheck).map(([check, n]) => `${n} ${check}`).join(', ');
+      out.push(`- **${r.file}**: ${r.findings.length} problem${r.findings.length !== 1 ? 's' : ''} (${counts})${ignored}`);
+    });
+    failed.forEach(r => {
+      out.push('', `### ${r.file}`, '', '| Check | Where | Problem |', '|---|---|---|');
+      r.findings.slice(0, MAX_LISTED).forEach(f => out.push(`| ${f.check} | ${f.where} | ${f.problem.replace(/\|/g, '\\|')} |`));
+      if (r.findings.length > MAX_LISTED) out.push('', `…and ${r.findings.length - MAX_LISTED} more.`);
+    });
+    if (failed.length) {
+      out.push('', 'Nothing was committed. Fix the source, or acknowledge a finding that is correct under `ignore` in `config/validation.json`.');
+    }
+    return out.join('\n') + '\n';
+  }
+
+  return {
+    DEFAULT_CONFIG,
+    withDefaults,
+    validateSchema,
+    checkFile,
+    toMarkdown,
+  };
+});
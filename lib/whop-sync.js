@@ -0,0 +1,223 @@
+/**
+ * Incremental Whop payment sync (whop-payments.json).
+ *
+ * The cursor is the newest created_at / paid_at already stored. A run pages
+ * through /company/payments newest-first and stops at the first page that is
+ * entirely older than the cursor minus `overlap_hours` (late-arriving payments
+ * land in the overlap). Stored payments that are still open or pending — Clarity
+ * Pay deals, mostly — are then re-fetched one by one, so a later default, payment
+ * or refund is picked up even though they no longer appear on the first pages.
+ *
+ * Paging that stops short of the cursor (max_pages, or an error mid-way) still
+ * merges what it got and returns a resume point { page, cutoff }: the caller
+ * stores it and passes it back as `options.resume`, and the next run pages the
+ * new payments down to its cursor, then carries on from that page down to the
+ * resume cutoff. Payments that arrive in between push older ones onto later
+ * pages, so resuming at the same page number overlaps rather than skips. A first
+ * sync of a large account thus finishes over several runs. `full` re-pages
+ * everything, which also picks up refunds of older paid payments.
+ *
+ * 429s and 5xx responses are retried with exponential backoff, honouring
+ * Retry-After. The client takes `fetch` and `sleep`, so it runs the same way
+ * in the workflow and locally (scripts/sync-whop.mjs).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.SVWhopSync = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_CONFIG = {
+    base_url: 'https://api.whop.com/api/v5/company/payments',
+    per_page: 50,
+    overlap_hours: 48,
+    max_pages: 500,
+    page_delay_ms: 150,
+    max_attempts: 5,
+    backoff_ms: 1000,
+    recheck_statuses: ['open', 'pending'],
+    recheck_days: 180,
+  };
+  // Fields protect-pii moves or adds — ignored when deciding whether a payment changed
+  const PII_FIELDS = ['user', 'email', 'user_id', 'user_hash', 'pii_enc'];
+
+  function withDefaults(config) {
+    return { ...DEFAULT_CONFIG, ...(config || {}) };
+  }
+
+  // Whop timestamps are unix seconds or ISO strings → unix seconds (0 when missing)
+  function toSeconds(ts) {
+    if (typeof ts === 'number') return ts;
+    const ms = ts ? Date.parse(ts) : NaN;
+    return isNaN(ms) ? 0 : Math.floor(ms / 1000);
+  }
+
+  // Newest created_at / paid_at among stored payments (0 when there are none)
+  function cursorOf(payments) {
+    return (payments || []).reduce((max, p) => Math.max(max, toSeconds(p.created_at), toSeconds(p.paid_at)), 0);
+  }
+
+  /**
+   * API client: { getPage(page), getPayment(id) }.
+   * getPayment resolves to null for a payment Whop no longer returns (404).
+   * A rejected API key throws an error whose message starts with AUTH_EXPIRED.
+   */
+  function createClient({ apiKey, fetch, sleep, log = () => {}, config }) {
+    const cfg = withDefaults(config);
+    const headers = { Authorization: `Bearer ${apiKey}` };
+
+    async function request(url, label) {
+      for (let attempt = 1; ; attempt++) {
+        const res = await fetch(url, { headers });
+        if (res.ok) return res.json();
+        if (res.status === 404) return null;
+        if (res.status === 401 || res.status === 403) {
+          throw new Error(`AUTH_EXPIRED: ${label} → HTTP ${res.status}, the API key may be expired`);
+        }
+        const retryable = res.status === 429 || res.status >= 500;
+        if (!retryable || attempt >= cfg.max_attempts) {
+          throw new Error(`${label} → HTTP ${res.status}${retryable ? ` after ${attempt} attempts` : ''}`);
+        }
+        const retryAfter = parseFloat(res.headers.get('retry-after'));
+        const wait = retryAfter > 0 ? retryAfter * 1000 : cfg.backoff_ms * 2 ** (attempt - 1);
+        log(`  ${label}: HTTP ${res.status}, retrying in ${(wait / 1000).toFixed(1)}s`);
+        await sleep(wait);
+      }
+    }
+
+    return {
+      getPage: (page) => request(`${cfg.base_url}?per=${cfg.per_page}&page=${page}`, `page ${page}`),
+      async getPayment(id) {
+        const json = await request(`${cfg.base_url}/${encodeURIComponent(id)}`, `payment ${id}`);
+        return json && (json.data || json);
+      },
+    };
+  }
+
+  const withoutPii = (p) => {
+    const rest = { ...p };
+    PII_FIELDS.forEach(f => delete rest[f]);
+    return rest;
+  };
+  const samePayment = (a, b) => JSON.stringify(withoutPii(a)) === JSON.stringify(withoutPii(b));
+
+  const byNewest = (a, b) => (toSeconds(b.created_at) - toSeconds(a.created_at)) || (toSeconds(b.paid_at) - toSeconds(a.paid_at));
+
+  /**
+   * Merge fetched payments into the stored ones by id — fetched wins, nothing
+   * stored is dropped. A fetched payment identical to the stored one apart from
+   * PII fields keeps the stored (already protected) record.
+   * → { payments (newest first), added: [ids], updated: [ids], statusChanges: [{ id, from, to }] }
+   */
+  function merge(existing, fetched) {
+    const byId = new Map((existing || []).map(p => [p.id, p]));
+    const added = [];
+    const updated = [];
+    const statusChanges = [];
+    (fetched || []).forEach(p => {
+      if (!p || !p.id) return;
+      const stored = byId.get(p.id);
+      if (!stored) added.push(p.id);
+      else if (samePayment(stored, p)) return;
+      else {
+        updated.push(p.id);
+        if (stored.status !== p.status) statusChanges.push({ id: p.id, from: stored.status, to: p.status });
+      }
+      byId.set(p.id, p);
+    });
+    return { payments: [...byId.values()].sort(byNewest), added, updated, statusChanges };
+  }
+
+  // Stored payments whose status may still change
+  function toRecheck(payments, nowSeconds, config) {
+    const cfg = withDefaults(config);
+    const since = nowSeconds - cfg.recheck_days * 86400;
+    return (payments || []).filter(p => cfg.recheck_statuses.includes(p.status) && toSeconds(p.created_at) >= since);
+  }
+
+  /**
+   * Page newest-first from `startPage` until a page is entirely older than
+   * `cutoff` (0: every page), the last page, or `budget` pages.
+   * → { payments, pages, next } — `next` is the page to resume from when paging
+   * stopped early (budget used up or an error), null once done.
+   */
+  async function pageDown(client, startPage, cutoff, budget, cfg, sleep, log) {
+    const payments = [];
+    let page = startPage;
+    try {
+      for (; page < startPage + budget; page++) {
+        const json = await client.getPage(page);
+        const data = (json && (json.data || (Array.isArray(json) ? json : null))) || [];
+        payments.push(...data);
+        const totalPages = json && json.pagination && json.pagination.total_pages;
+        const reachedCursor = cutoff && data.length && data.every(p => toSeconds(p.created_at) < cutoff);
+        if (!data.length || data.length < cfg.per_page || reachedCursor || (totalPages && page >= totalPages)) {
+          return { payments, pages: page - startPage + 1, next: null };
+        }
+        await sleep(cfg.page_delay_ms);
+      }
+      log(`Stopped at max_pages (${cfg.max_pages}) — the next run resumes at page ${page}`);
+    } catch (err) {
+      log(`Paging failed at page ${page}: ${err.message}`);
+      if (err.message.startsWith('AUTH_EXPIRED')) throw err;
+    }
+    return { payments, pages: page - startPage, next: page };
+  }
+
+  /**
+   * One sync run. `options`: { full, resume, now (ms), config, log, sleep }.
+   * → { complete, pages, fetched, rechecked, cursor, resume, ...merge() result }
+   * `complete` is false when paging stopped before reaching the cursor (or the
+   * cutoff of `options.resume`); `resume` is then where the next run carries on,
+   * and null once nothing is left to page.
+   */
+  async function sync(existing, client, options = {}) {
+    const cfg = withDefaults(options.config);
+    const log = options.log || (() => {});
+    const sleep = options.sleep || (() => Promise.resolve());
+    const nowSeconds = Math.floor((options.now || Date.now()) / 1000);
+    const previous = options.full ? null : options.resume || null;
+    const cursor = options.full ? 0 : cursorOf(existing);
+    const cutoff = cursor ? cursor - cfg.overlap_hours * 3600 : 0;
+    log(cursor
+      ? `Cursor ${new Date(cursor * 1000).toISOString()} — fetching back to ${new Date(cutoff * 1000).toISOString()}`
+      : 'No cursor — fetching every page');
+
+    const top = await pageDown(client, 1, cutoff, cfg.max_pages, cfg, sleep, log);
+    const fetched = [...top.payments];
+    let pages = top.pages;
+    // Stopping short again leaves one gap reaching down to the older of the two cutoffs
+    let resume = top.next ? { page: top.next, cutoff: previous ? Math.min(previous.cutoff, cutoff) : cutoff } : null;
+    if (!resume && previous) {
+      log(`Resuming the earlier sync at page ${previous.page}` +
+        (previous.cutoff ? `, back to ${new Date(previous.cutoff * 1000).toISOString()}` : ', to the last page'));
+      const rest = await pageDown(client, previous.page, previous.cutoff, cfg.max_pages - pages, cfg, sleep, log);
+      fetched.push(...rest.payments);
+      pages += rest.pages;
+      resume = rest.next ? { page: rest.next, cutoff: previous.cutoff } : null;
+    }
+
+    // Open / pending payments the pages above didn't already return
+    const seen = new Set(fetched.map(p => p.id));
+    const recheck = toRecheck(existing, nowSeconds, cfg).filter(p => !seen.has(p.id));
+    for (const p of recheck) {
+      try {
+        const current = await client.getPayment(p.id);
+        if (current) fetched.push(current);
+      } catch (err) {
+        log(`  Re-check of ${p.id} failed (${err.message}) — keeping the stored record`);
+      }
+      await sleep(cfg.page_delay_ms);
+    }
+
+    return { complete: !resume, pages, fetched: fetched.length, rechecked: recheck.length, cursor, resume, ...merge(existing, fetched) };
+  }
+
+  return {
+    DEFAULT_CONFIG,
+    toSeconds,
+    cursorOf,
+    createClient,
+    merge,
+    toRecheck,
+    sync,
+  };
+});
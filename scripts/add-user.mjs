@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Add or update a dashboard user in config/users.json.
+ *
+ * Usage:
+ *   node scripts/add-user.mjs <username> <role>
+ *
+ * Roles: owner, sales_manager, agency_manager (see lib/access.js).
+ * The passphrase is read from SV_PASSPHRASE or prompted for; only a
+ * PBKDF2 verifier, the user's session-signing public key and the private key
+ * wrapped with the passphrase are written, so the file is safe to commit.
+ * Re-adding a user gives them a new key pair, which signs out their sessions.
+ *
+ * Set PII_KEY as well to give the user the customer-data key (wrapped with
+ * their passphrase) — without it they see aggregates but no emails.
+ */
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { createInterface } from 'node:readline/promises';
+import Access from '../lib/access.js';
+import Pii from '../lib/pii.js';
+
+const USERS_PATH = 'config/users.json';
+const [username, role] = process.argv.slice(2);
+
+if (!username || !role) {
+  console.error('Usage: node scripts/add-user.mjs <username> <role>');
+  console.error(`Roles: ${Object.keys(Access.ROLES).join(', ')}`);
+  process.exit(1);
+}
+if (!Access.ROLES[role]) {
+  console.error(`ERROR: unknown role "${role}". Use one of: ${Object.keys(Access.ROLES).join(', ')}`);
+  process.exit(1);
+}
+
+let passphrase = process.env.SV_PASSPHRASE;
+if (!passphrase) {
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  passphrase = await rl.question(`Passphrase for ${username}: `);
+  rl.close();
+}
+if (!passphrase || passphrase.length < 12) {
+  console.error('ERROR: passphrase must be at least 12 characters');
+  process.exit(1);
+}
+
+const config = existsSync(USERS_PATH) ? JSON.parse(readFileSync(USERS_PATH, 'utf8')) : { users: [] };
+const entry = await Access.createUser(username, role, passphrase);
+if (process.env.PII_KEY) {
+  await Pii.importPiiKey(process.env.PII_KEY); // validates the key before wrapping it
+  const { userKey } = await Access.deriveKeys(passphrase, entry.salt, entry.iterations);
+  entry.wrapped_pii_key = await Pii.wrapPiiKey(userKey, process.env.PII_KEY);
+} else {
+  console.log('Note: PII_KEY not set — this user will not be able to decrypt customer emails.');
+}
+const others = (config.users || []).filter((u) => u.username.toLowerCase() !== username.toLowerCase());
+const replaced = others.length !== (config.users || []).length;
+config.users = [...others, entry].sort((a, b) => a.username.localeCompare(b.username));
+
+writeFileSync(USERS_PATH, JSON.stringify(config, null, 2) + '\n');
+console.log(`${replaced ? 'Updated' : 'Added'} ${username} (${Access.ROLES[role].label}) in ${USERS_PATH}`);
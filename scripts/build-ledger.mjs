@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Build ledger.json — one normalized revenue ledger from every source.
+ *
+ * Usage: PII_KEY=... node scripts/build-ledger.mjs
+ *
+ * Inputs:
+ *   transactions.json           Kajabi sales
+ *   Sales sheet (CSV)           sales added after the Kajabi export
+ *   whop-payments.json          Whop memberships + Clarity Pay financing
+ *   agency-data.json            TikTok distribution + creator payouts
+ *   Distribution Payouts sheet  manually tracked agency payouts
+ *
+ * Entry shape and id scheme live in lib/ledger.js. Customers are keyed by the
+ * PII email hash, so PII_KEY is required — without it the ledger is left as-is
+ * and the job fails.
+ * If a sheet can't be fetched, its entries from the previous ledger are kept.
+ * Sheet locations come from the default profile in config/data-sources.json.
+ * Each run records the sheets and the ledger under "sales_sheet",
+ * "dist_payouts_sheet" and "ledger" in sync-status/build-ledger.json.
+ */
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import Ledger from '../lib/ledger.js';
+import Pii from '../lib/pii.js';
+import Rules from '../lib/rules.js';
+import Sheets from '../lib/sheets.js';
+import Sources from '../lib/sources.js';
+import SyncStatus from '../lib/sync-status.js';
+
+const LEDGER_PATH = 'ledger.json';
+const STATUS_PATH = SyncStatus.pathOf('ledger');
+
+function readJson(file, fallback) {
+  if (!existsSync(file)) return fallback;
+  return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+function recordStatus(key, result) {
+  const status = SyncStatus.record(readJson(STATUS_PATH, {}), key, result);
+  mkdirSync(SyncStatus.STATUS_DIR, { recursive: true });
+  writeFileSync(STATUS_PATH, JSON.stringify(status, null, 2) + '\n');
+}
+
+async function fetchSheet(url, key) {
+  const label = `${Sheets.SCHEMAS[key].label} sheet`;
+  if (!url) {
+    console.log(`  ${label}: not configured — keeping previous ledger entries`);
+    recordStatus(key, { ok: false, error: 'no URL in config/data-sources.json', error_class: 'missing_config' });
+    return null;
+  }
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { rows, stats } = Sheets.read(key, await res.text());
+    console.log(`  ${label}: ${rows.length} rows (${stats.rejected} rejected, ${stats.coerced} coerced)`);
+    recordStatus(key, { ok: true, records: rows.length, detail: `${stats.rejected} rejected, ${stats.coerced} coerced` });
+    return rows;
+  } catch (err) {
+    console.log(`  ${label}: fetch failed (${err.message}) — keeping previous ledger entries`);
+    recordStatus(key, { ok: false, error: err.message });
+    return null;
+  }
+}
+
+async function main() {
+  console.log('=== Ledger Builder ===');
+  if (!process.env.PII_KEY) {
+    console.error('PII_KEY not set — customers cannot be keyed without exposing emails.');
+    console.log('Keeping existing ledger.json unchanged.');
+    recordStatus('ledger', { ok: false, error: 'PII_KEY not set', error_class: 'missing_config' });
+    process.exit(1);
+  }
+  const keys = await Pii.importPiiKey(process.env.PII_KEY);
+  const customerOf = async (hash, email) => hash || Pii.hashEmail(keys, email);
+
+  const transactions = readJson('transactions.json', []);
+  const whop = readJson('whop-payments.json', []);
+  const agency = readJson('agency-data.json', {});
+  const ruleSets = Rules.normalize(readJson('config/rules.json', null));
+  const previous = readJson(LEDGER_PATH, { entries: [] });
+  const { urls } = Sources.resolve(readJson('config/data-sources.json', null));
+
+  console.log('Fetching sheets...');
+  const sheetSales = await fetchSheet(urls.sales_sheet, 'sales_sheet');
+  const sheetDist = await fetchSheet(urls.dist_payouts_sheet, 'dist_payouts_sheet');
+
+  const kajabi = [];
+  for (const row of transactions) {
+    kajabi.push({ ...row, customer: await customerOf(row.email_hash, row.email) });
+  }
+  const sheet = [];
+  for (const row of sheetSales || []) {
+    sheet.push({ ...row, customer: await customerOf(null, row['customer email']) });
+  }
+  const whopRows = [];
+  for (const p of whop) {
+    whopRows.push({ ...p, customer: await customerOf(p.user_hash, p.user?.email || p.email) });
+  }
+
+  let entries = Ledger.buildLedger({
+    kajabi,
+    sheetSales: sheet,
+    whop: whopRows,
+    distPayouts: agency.distribution_payouts || [],
+    creatorPayouts: agency.payouts || [],
+    sheetDistPayouts: sheetDist || [],
+    ruleSets,
+  });
+
+  // Carry sheet entries forward when a sheet was unreachable this run (still matched against Kajabi)
+  const carried = previous.entries.filter(e =>
+    (sheetSales === null && e.source === 'sheet') ||
+    (sheetDist === null && e.source === 'tiktok-sheet'));
+  if (carried.length) entries = Ledger.withSheets([...entries, ...carried], {});
+
+  const stale = [sheetSales === null && 'Sales sheet', sheetDist === null && 'Distribution Payouts sheet'].filter(Boolean);
+  recordStatus('ledger', {
+    ok: true,
+    records: entries.length,
+    detail: stale.length ? `kept previous entries for ${stale.join(' and ')}` : null,
+  });
+
+  if (JSON.stringify(entries) === JSON.stringify(previous.entries)) {
+    console.log(`\nNo ledger changes (${entries.length} entries).`);
+    return;
+  }
+
+  const counts = {};
+  for (const e of entries) counts[e.stream] = (counts[e.stream] || 0) + 1;
+
+  writeFileSync(LEDGER_PATH, JSON.stringify({
+    generated_at: new Date().toISOString(),
+    counts,
+    entries,
+  }, null, 2) + '\n');
+
+  console.log(`\n=== Wrote ${LEDGER_PATH}: ${entries.length} entries ===`);
+  for (const stream of Ledger.STREAMS) {
+    const gross = entries.filter(e => e.stream === stream).reduce((s, e) => s + e.gross, 0);
+    console.log(`  ${stream.padEnd(16)} ${String(counts[stream] || 0).padStart(5)}  $${gross.toLocaleString(undefined, { maximumFractionDigits: 2 })}`);
+  }
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  recordStatus('ledger', { ok: false, error: err.message });
+  process.exit(1);
+});
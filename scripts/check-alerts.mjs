@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Evaluate the business alert rules in config/alerts.json — run by
+ * check-alerts.yml after each scheduled sync.
+ *
+ * Usage:
+ *   node scripts/check-alerts.mjs
+ *   node scripts/check-alerts.mjs --profile local --digest /tmp/alerts.md --dry-run
+ *
+ * Rules are evaluated over the same data the dashboard computes from
+ * (lib/alerts.js, lib/kpis.js). With "output": "issues" each firing rule gets
+ * one open GitHub issue (labelled `issue_label`, updated on later runs) that is
+ * closed with a comment once the rule clears; this needs GITHUB_TOKEN and
+ * GITHUB_REPOSITORY. With "output": "digest" the results are written to
+ * `digest_path` instead. The digest is always printed and added to the
+ * workflow run summary; --digest writes it to another file too, --dry-run
+ * leaves issues alone.
+ *
+ * If a data source can't be fetched no issue is opened or closed — missing
+ * data would look like a revenue drop. Exits 1 when a rule is misconfigured.
+ */
+import { writeFileSync, appendFileSync } from 'node:fs';
+import Alerts from '../lib/alerts.js';
+import FixedCosts from '../lib/fixed-costs.js';
+import Kpis from '../lib/kpis.js';
+import Receivables from '../lib/receivables.js';
+import Rules from '../lib/rules.js';
+import Sources from '../lib/sources.js';
+import { readJson, pstToday, loadKpiData } from './load-data.mjs';
+
+const CONFIG_PATH = 'config/alerts.json';
+
+function parseArgs(argv) {
+  const args = { profile: process.env.DATA_PROFILE || null, digest: null, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--profile' || argv[i] === '--digest') args[argv[i].slice(2)] = argv[++i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+async function github(method, path, body) {
+  const res = await fetch(`https://api.github.com/repos/${process.env.GITHUB_REPOSITORY}${path}`, {
+    method,
+    headers: {
+      Authorization: `token ${process.env.GITHUB_TOKEN}`,
+      Accept: 'application/vnd.github+json',
+      'Content-Type': 'application/json',
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!res.ok) throw new Error(`GitHub ${method} ${path} → HTTP ${res.status}`);
+  return res.json();
+}
+
+// One open issue per firing rule; issues of rules that cleared are closed
+async function syncIssues(results, config, today) {
+  const open = await github('GET', `/issues?labels=${encodeURIComponent(config.issue_label)}&state=open&per_page=100`);
+  const byRule = new Map();
+  open.forEach(issue => {
+    const id = Alerts.ruleIdOf(issue.body);
+    if (id) byRule.set(id, issue);
+  });
+
+  for (const result of results) {
+    if (result.error) continue;
+    const issue = byRule.get(result.id);
+    try {
+      if (result.firing) {
+        const title = Alerts.issueTitle(result);
+        const body = Alerts.issueBody(result);
+        if (!issue) {
+          const created = await github('POST', '/issues', { title, body, labels: [config.issue_label] });
+          console.log(`  ${result.id}: opened #${created.number}`);
+        } else if (issue.body !== body || issue.title !== title) {
+          await github('PATCH', `/issues/${issue.number}`, { title, body });
+          console.log(`  ${result.id}: updated #${issue.number}`);
+        }
+      } else if (issue) {
+        await github('POST', `/issues/${issue.number}/comments`, { body: `Cleared ${today}: ${result.summary}` });
+        await github('PATCH', `/issues/${issue.number}`, { state: 'closed', state_reason: 'completed' });
+        console.log(`  ${result.id}: closed #${issue.number}`);
+      }
+    } catch (err) {
+      console.log(`  ${result.id}: ${err.message}`);
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const today = pstToday();
+  const config = Alerts.withDefaults(readJson(CONFIG_PATH, null));
+  const sources = Sources.resolve(readJson('config/data-sources.json', null), args.profile);
+  console.log(`=== Alerts ${today} (${sources.label}) ===`);
+
+  const ruleSets = Rules.normalize(readJson('config/rules.json', null));
+  const fixedCosts = FixedCosts.normalize(readJson('config/fixed-costs.json', null));
+  const receivablesConfig = { ...Receivables.DEFAULT_CONFIG, ...readJson('config/receivables.json', {}) };
+  const { ledger, data, deals, missing } = await loadKpiData(sources.urls, { ruleSets, receivablesConfig, today });
+  const heldBack = Receivables.heldBackAsOf(deals, today, receivablesConfig);
+
+  const results = Alerts.evaluate(config, {
+    now: new Date(),
+    today,
+    ledger,
+    data,
+    kpis: (bounds) => Kpis.compute(data, bounds, { ruleSets, fixedCostItems: fixedCosts.items, heldBack, dataStart: Kpis.DATA_START_DATE }),
+  });
+
+  let digest = Alerts.toMarkdown(results, today);
+  if (missing.length) digest += `\n**Incomplete data:** ${missing.join(', ')} could not be fetched — issues were left as they are.\n`;
+  console.log(digest);
+  if (process.env.GITHUB_STEP_SUMMARY) appendFileSync(process.env.GITHUB_STEP_SUMMARY, digest);
+  if (args.digest) writeFileSync(args.digest, digest);
+
+  if (config.output === 'digest') {
+    writeFileSync(config.digest_path, digest);
+    console.log(`Wrote ${config.digest_path}`);
+  } else if (missing.length || args.dryRun) {
+    console.log('Leaving issues unchanged.');
+  } else if (!process.env.GITHUB_TOKEN || !process.env.GITHUB_REPOSITORY) {
+    console.log('GITHUB_TOKEN / GITHUB_REPOSITORY not set — not syncing issues.');
+  } else {
+    console.log('Syncing issues...');
+    await syncIssues(results, config, today);
+  }
+
+  if (results.some(r => r.error)) process.exit(1);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
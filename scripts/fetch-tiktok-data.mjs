@@ -7,6 +7,8 @@
  * Uses the Partner Center internal API for payouts and Playwright browser
  * scraping for affiliate analytics (GMV, commission, orders, refunds).
  * Authentication is via session cookie stored as a GitHub Secret.
+ * Paging, formatting and merging of payouts live in lib/payouts.js, shared
+ * with the scripts/refresh-agency-data.js bookmarklet.
  *
  * Required GitHub Secrets:
  *   TIKTOK_SESSION_COOKIE — Cookie from partner.us.tiktokshop.com
@@ -19,21 +21,35 @@
  *   5. In "Request Headers", copy the full "Cookie:" value
  *   6. Paste into GitHub repo → Settings → Secrets → TIKTOK_SESSION_COOKIE
  *
+ * Also fills statement-details.json with the order-level lines behind each
+ * distribution payout (lib/statements.js), a few statements per run, and
+ * collects GMV, orders, commission and refunds per creator and per product,
+ * day by day (lib/leaderboard.js). Each run's outcome is recorded in
+ * sync-status/fetch-tiktok-data.json under "agency", "agency_analytics",
+ * "agency_breakdown" and "statement_details". Data is checked with the same rules as
+ * scripts/validate-data.mjs before it is written, so a run the workflow's
+ * validation step would block is recorded as failed, never as "ok".
+ *
  * When cookies expire the script detects the auth failure and
  * optionally opens a GitHub Issue to remind you to refresh them.
  */
 
 import fs from 'fs';
 import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import Leaderboard from '../lib/leaderboard.js';
+import Payouts from '../lib/payouts.js';
+import Statements from '../lib/statements.js';
+import SyncStatus from '../lib/sync-status.js';
+import Validate from '../lib/validate.js';
 const SESSION_COOKIE = process.env.TIKTOK_SESSION_COOKIE || '';
 const GH_TOKEN = process.env.GITHUB_TOKEN || '';
 const GH_REPO = process.env.GITHUB_REPOSITORY || '';
 const BASE_URL = 'https://partner.us.tiktokshop.com';
 
 
-// Partner IDs (Stay Viral)
-const DIST_PARTNER_ID = '8650986195390075694';
-const CREATOR_PARTNER_ID = '8647379727644267307';
+const STATUS_FILE = SyncStatus.pathOf('agency');
 
 // ————————————————————————————————————————
 // API helpers
@@ -61,158 +77,488 @@ async function apiRequest(endpoint, params = {}) {
 
   const json = await resp.json();
 
-  // Detect auth failures (16201010 = unauthenticated on Partner Center)
-  if (json.code === 10000 || json.code === 10001 || json.code === 401 ||
-      json.code === 16201010 ||
-      json.message?.toLowerCase().includes('login') ||
-      json.message?.toLowerCase().includes('auth') ||
-      json.message?.toLowerCase().includes('session')) {
-    throw new Error(`AUTH_EXPIRED: ${json.message || 'Session cookie expired'} (code ${json.code})`);
-  }
+  // Detect auth failures (Partner Center answers an expired session with HTTP 200)
+  const authError = Payouts.authError(json);
+  if (authError) throw authError;
 
   return json;
 }
 
 // ————————————————————————————————————————
-// Fetch all pages of payouts
+// Fetch affiliate analytics via Playwright scraper
 // ————————————————————————————————————————
 
-async function fetchAllPayouts(partnerId, label) {
-  console.log(`\nFetching ${label} payouts...`);
-  const allPayouts = [];
-  let page = 1;
-  let totalCount = 0;
+const ANALYTICS_PARTNER_ID = '7495508276819495805';
 
-  do {
-    const data = await apiRequest('/api/v1/affiliate/partner/payout/search', {
-      page_size: '20',
-      page: String(page),
-      partner_id: partnerId,
-      aid: '359713',
-    });
+const SCRAPER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'scrape-partner-analytics.mjs');
+const SCRAPER_TIMEOUT = 120_000; // scraper's own page timeout is 45s; allow for browser launch
+// Breakdown scraping pages through up to 30 days × 2 lists from the browser
+const BREAKDOWN_SCRAPER_TIMEOUT = 600_000;
+
+const METRIC_KEYS = ['affiliate_gmv', 'est_commission', 'orders', 'gmv_refund'];
+
+/**
+ * Call the Partner Center general stats API.
+ * With no range it returns the default overview window (last 7 days);
+ * with { start_date, end_date } (YYYY-MM-DD) it is scoped to those days.
+ * Returns normalized metrics, or null when the API has nothing for us;
+ * HTTP and auth failures throw (statsRequest()).
+ */
+async function fetchStats(range = {}) {
+  const statsData = await statsRequest('/api/v2/insights/partner/general/stats', { ...range });
+  if (statsData.code !== 0 || !statsData.data || Object.keys(statsData.data).length === 0) {
+    return null;
+  }
+  return {
+    affiliate_gmv: statsData.data.gmv || 0,
+    est_commission: statsData.data.commission || 0,
+    orders: statsData.data.orders || 0,
+    gmv_refund: statsData.data.refund || 0
+  };
+}
 
-    if (data.code !== 0 || !data.data?.payout_info) {
-      if (page === 1) {
-        console.log(`  ⚠ No payout data returned (code: ${data.code}, msg: ${data.message || 'none'})`);
+/**
+ * Run scripts/scrape-partner-analytics.mjs in a child process.
+ * It prints its result (the metrics, or with `--breakdowns` the creator and
+ * product lists) as JSON on stdout; anything else counts as failure.
+ */
+function runScraper(args = [], timeout = SCRAPER_TIMEOUT) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [SCRAPER_PATH, ...args], {
+      env: process.env,
+      timeout,
+      maxBuffer: 16 * 1024 * 1024, // breakdown lists for a month of days
+    }, (err, stdout, stderr) => {
+      if (err) {
+        const lastLine = String(stderr || '').trim().split('\n').pop();
+        console.log('  Scraper failed:', lastLine || err.message);
+        return resolve(null);
       }
-      break;
-    }
+      try {
+        resolve(JSON.parse(String(stdout).trim()));
+      } catch (_) {
+        console.log('  Scraper output was not JSON');
+        resolve(null);
+      }
+    });
+  });
+}
 
-    totalCount = data.data.total_count;
-    allPayouts.push(...data.data.payout_info);
-    console.log(`  Page ${page}: ${data.data.payout_info.length} records (${allPayouts.length}/${totalCount})`);
-    page++;
-  } while (allPayouts.length < totalCount && page <= 100);
+/**
+ * Resolve the analytics snapshot from, in order:
+ *   1. the Partner Center stats API   → source "api"
+ *   2. the Playwright scraper         → source "scraper"
+ *   3. the last known stored values   → source "stale" (original fetched_at kept)
+ *
+ * Each metric is taken from the first source that has it, and its
+ * provenance is recorded in `sources` so the dashboard can label it.
+ */
+async function fetchAffiliateAnalytics(previous = {}) {
+  console.log('\nFetching affiliate analytics from Partner Center...');
+  const fetchedAt = new Date().toISOString();
+
+  let apiMetrics = null;
+  try {
+    apiMetrics = await fetchStats();
+    console.log(apiMetrics ? '  Got live analytics data from API' : '  Stats API returned empty.');
+  } catch (err) {
+    console.log('  Stats API failed:', err.message);
+  }
 
-  console.log(`  Total ${label}: ${allPayouts.length} records`);
-  return allPayouts;
+  // The stats API usually needs request signing we can't replicate in CI,
+  // so the scraper is the normal path rather than an exception.
+  let scraped = null;
+  if (!apiMetrics) {
+    console.log('  Trying Playwright scraper...');
+    scraped = await runScraper();
+    if (scraped) console.log('  Got analytics data from scraper');
+  }
+
+  const metrics = {};
+  const sources = {};
+  const previousSources = previous.sources || {};
+  for (const key of METRIC_KEYS) {
+    if (typeof apiMetrics?.[key] === 'number') {
+      metrics[key] = apiMetrics[key];
+      sources[key] = { source: 'api', fetched_at: fetchedAt };
+    } else if (typeof scraped?.[key] === 'number') {
+      metrics[key] = scraped[key];
+      sources[key] = { source: 'scraper', fetched_at: fetchedAt };
+    } else if (typeof previous[key] === 'number') {
+      metrics[key] = previous[key];
+      sources[key] = {
+        source: 'stale',
+        // Values written before provenance existed only have the sync date
+        fetched_at: previousSources[key]?.fetched_at || previous.last_updated || null,
+      };
+    }
+  }
+
+  const summary = METRIC_KEYS.map(k => `${k}=${sources[k]?.source || 'none'}`).join(', ');
+  console.log(`  Analytics sources: ${summary}`);
+  return { metrics, sources };
 }
 
 // ————————————————————————————————————————
-// Format raw payouts
+// Daily analytics history (accumulates across runs)
 // ————————————————————————————————————————
 
-function formatPayout(raw) {
-  const d = new Date(parseInt(raw.payment_time));
+// The overview snapshot covers the last 7 complete days; only those days can be estimated from it
+const ANALYTICS_WINDOW_DAYS = 7;
+// How far back each run looks for missing or estimated days
+const MAX_BACKFILL_DAYS = 30;
+// Nothing before this date is tracked (matches DATA_START_DATE in index.html)
+const DAILY_START_DATE = '2026-01-28';
+
+function shiftDate(dateStr, days) {
+  const d = new Date(dateStr + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+function estimateDay(date, snapshot) {
   return {
-    date: d.toISOString().split('T')[0],
-    settlement_amount: parseFloat(raw.amount),
-    amount_paid: parseFloat(raw.payment_amount),
+    date,
+    affiliate_gmv: Math.round((snapshot.affiliate_gmv || 0) / ANALYTICS_WINDOW_DAYS * 100) / 100,
+    est_commission: Math.round((snapshot.est_commission || 0) / ANALYTICS_WINDOW_DAYS * 100) / 100,
+    orders: Math.round((snapshot.orders || 0) / ANALYTICS_WINDOW_DAYS),
+    gmv_refund: Math.round((snapshot.gmv_refund || 0) / ANALYTICS_WINDOW_DAYS * 100) / 100,
+    estimated: true,
   };
 }
 
-function formatDistPayouts(rawList) {
-  return rawList.map(r => ({
-    statement_id: r.id,
-    ...formatPayout(r),
-    type: 'PRODUCT_DISTRIBUTION',
-    currency: 'USD',
-  }));
-}
+/**
+ * Build up the per-day analytics series.
+ *
+ * Days in the backfill window that are missing, or only hold an estimate, are
+ * requested from the stats API one day at a time, newest first. The first day
+ * the API can't answer ends the requests for this run — it won't answer the
+ * older ones either — so a run makes at most one wasted call.
+ * Days inside the snapshot's own window that are still missing are filled with
+ * the snapshot ÷ 7 and flagged `estimated: true` until a real value replaces
+ * them; older missing days stay missing. Real days on record are never touched.
+ */
+async function updateDailyAnalytics(existingDaily, snapshot) {
+  const byDate = new Map();
+  for (const d of existingDaily) {
+    if (d.date) byDate.set(d.date, d);
+  }
+
+  const yesterday = shiftDate(new Date().toISOString().split('T')[0], -1);
+  let from = shiftDate(yesterday, -(MAX_BACKFILL_DAYS - 1));
+  if (from < DAILY_START_DATE) from = DAILY_START_DATE;
+  const windowFrom = shiftDate(yesterday, -(ANALYTICS_WINDOW_DAYS - 1));
+
+  let real = 0;
+  let estimated = 0;
+  let apiAnswers = true;
+  for (let date = yesterday; date >= from; date = shiftDate(date, -1)) {
+    const current = byDate.get(date);
+    if (current && !current.estimated) continue;
+
+    let metrics = null;
+    if (apiAnswers) {
+      try {
+        metrics = await fetchStats({ start_date: date, end_date: date });
+      } catch (err) {
+        if (err.message.startsWith('AUTH_EXPIRED')) throw err;
+        console.log(`  Daily analytics ${date}: ${err.message}`);
+      }
+      apiAnswers = !!metrics;
+    }
 
-function formatCreatorPayouts(rawList) {
-  return rawList.map(r => ({
-    payment_id: r.id,
-    ...formatPayout(r),
-  }));
+    if (metrics) {
+      byDate.set(date, { date, ...metrics, estimated: false });
+      real++;
+    } else if (!current && snapshot && date >= windowFrom) {
+      byDate.set(date, estimateDay(date, snapshot));
+      estimated++;
+    }
+  }
+
+  console.log(`  Daily analytics: ${real} real + ${estimated} estimated day(s) added (${byDate.size} on record)`);
+  return Array.from(byDate.values()).sort((a, b) => b.date.localeCompare(a.date));
 }
 
 // ————————————————————————————————————————
-// Merge payouts (accumulate, never lose data)
+// Per-creator / per-product analytics (accumulates across runs)
 // ————————————————————————————————————————
 
+// Recent days are fetched again every run: refunds and settlements keep changing them
+const BREAKDOWN_REFRESH_DAYS = 14;
+
+// POST to the stats API, with the same HTTP and auth checks as apiRequest()
+async function statsRequest(endpoint, request) {
+  const url = BASE_URL + endpoint + '?partner_id=' + ANALYTICS_PARTNER_ID + '&region_code=US&biz_role=7';
+  console.log(`  → POST ${endpoint} (${request.start_date || 'snapshot'}, page ${request.page || 1})`);
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ['Cookie']: SESSION_COOKIE
+    },
+    body: JSON.stringify({ request })
+  });
+  if (!resp.ok) {
+    throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+  }
+  const json = await resp.json();
+  const authError = Payouts.authError(json);
+  if (authError) throw authError;
+  return json;
+}
+
 /**
- * Merge fresh API payouts with existing stored payouts.
- * The TikTok API sometimes returns inconsistent/partial results,
- * so we keep a superset of all payouts ever seen, deduplicating by ID.
- * Fresh data wins when the same ID appears in both sets.
+ * One day's creator or product list from the stats API, every page. An empty
+ * list is an answer (nobody sold that day); an error code or a response
+ * without a list throws.
  */
-function mergePayouts(existing, fresh, idField) {
-  const byId = new Map();
-  for (const p of existing) {
-    const id = p[idField];
-    if (id) byId.set(id, p);
+async function fetchBreakdown(kind, date) {
+  const { endpoint, label } = Leaderboard.KINDS[kind];
+  const rows = [];
+  for (let page = 1; page <= Leaderboard.MAX_PAGES; page++) {
+    const data = await statsRequest(endpoint, { start_date: date, end_date: date, page, page_size: Leaderboard.PAGE_SIZE });
+    const list = data.code === 0 && data.data ? data.data.list : null;
+    if (!Array.isArray(list)) {
+      throw new Error(`no ${label.toLowerCase()} list for ${date} (code: ${data.code}, msg: ${data.message || 'none'})`);
+    }
+    rows.push(...list.map(raw => Leaderboard.formatRow(kind, raw, date)).filter(r => r.id));
+    if (list.length < Leaderboard.PAGE_SIZE) break;
   }
-  for (const p of fresh) {
-    const id = p[idField];
-    if (id) byId.set(id, p);
+  return rows;
+}
+
+/**
+ * Fetch the creator / product days of the backfill window not on record yet,
+ * plus the last BREAKDOWN_REFRESH_DAYS days again. Like the account totals
+ * (fetchAffiliateAnalytics), each day comes from the stats API first; once the
+ * API fails for a list, that list's remaining days go to the Playwright
+ * scraper in one run. Each row keeps the `source` it came from. Days either
+ * answered — empty ones included — are kept in `breakdown_days`, so they
+ * aren't asked for again once they leave the refresh window. Nothing is
+ * estimated: a day neither answers stays missing and is asked for again on
+ * the next run.
+ */
+async function updateBreakdowns(existingData) {
+  const yesterday = shiftDate(new Date().toISOString().split('T')[0], -1);
+  let from = shiftDate(yesterday, -(MAX_BACKFILL_DAYS - 1));
+  if (from < DAILY_START_DATE) from = DAILY_START_DATE;
+  const refreshFrom = shiftDate(yesterday, -(BREAKDOWN_REFRESH_DAYS - 1));
+  const storedDays = existingData.breakdown_days || {};
+  const kinds = Object.keys(Leaderboard.KINDS);
+
+  const fresh = {};
+  const fetchedDates = {};
+  const covered = {};
+  const unanswered = {};
+  let asked = 0;
+  let lastError = null;
+  for (const kind of kinds) {
+    const { key, label } = Leaderboard.KINDS[kind];
+    // Files written before breakdown_days only know the days that had rows
+    covered[kind] = new Set(storedDays[key] || (existingData[key] || []).map(r => r.date));
+    fresh[kind] = [];
+    fetchedDates[kind] = new Set();
+    unanswered[kind] = [];
+    for (let date = from; date <= yesterday; date = shiftDate(date, 1)) {
+      if (covered[kind].has(date) && date < refreshFrom) continue;
+      asked++;
+      // An API that failed once won't answer the other days either
+      if (unanswered[kind].length) {
+        unanswered[kind].push(date);
+        continue;
+      }
+      try {
+        const rows = await fetchBreakdown(kind, date);
+        fresh[kind].push(...rows.map(r => ({ ...r, source: 'api' })));
+        fetchedDates[kind].add(date);
+      } catch (err) {
+        if (err.message.startsWith('AUTH_EXPIRED')) throw err;
+        console.log(`  ${label}s ${date}: ${err.message}`);
+        lastError = err;
+        unanswered[kind].push(date);
+      }
+    }
+  }
+
+  const scrapeDates = [...new Set(kinds.flatMap(kind => unanswered[kind]))].sort();
+  let scrapedDays = 0;
+  if (scrapeDates.length) {
+    console.log(`  Trying Playwright scraper for ${scrapeDates.length} day(s)...`);
+    const scraped = await runScraper(['--breakdowns', scrapeDates.join(','), '--partner-id', ANALYTICS_PARTNER_ID], BREAKDOWN_SCRAPER_TIMEOUT);
+    for (const kind of kinds) {
+      for (const date of unanswered[kind]) {
+        const rows = scraped?.[kind]?.[date];
+        if (!Array.isArray(rows)) continue;
+        fresh[kind].push(...rows.map(r => ({ ...r, source: 'scraper' })));
+        fetchedDates[kind].add(date);
+        scrapedDays++;
+      }
+    }
   }
-  return Array.from(byId.values());
+
+  const out = {};
+  const breakdownDays = {};
+  let answered = 0;
+  for (const kind of kinds) {
+    const { key, label } = Leaderboard.KINDS[kind];
+    fetchedDates[kind].forEach(date => covered[kind].add(date));
+    answered += fetchedDates[kind].size;
+    out[key] = Leaderboard.merge(existingData[key] || [], fresh[kind], fetchedDates[kind]);
+    breakdownDays[key] = [...covered[kind]].sort();
+    console.log(`  ${label}s: ${fetchedDates[kind].size} day(s) fetched, ${fresh[kind].length} row(s) (${breakdownDays[key].length} days on record)`);
+  }
+  out.breakdown_days = breakdownDays;
+
+  const records = kinds.reduce((n, kind) => n + out[Leaderboard.KINDS[kind].key].length, 0);
+  const detail = `${answered} of ${asked} creator/product day(s) fetched, ${scrapedDays} by the scraper`;
+  if (asked > 0 && answered === 0) {
+    recordStatus('agency_breakdown', {
+      ok: false,
+      error: lastError ? lastError.message : 'neither the stats API nor the scraper returned creator or product lists',
+      error_class: lastError ? SyncStatus.classify(lastError) : 'empty',
+      detail,
+    });
+  } else {
+    recordStatus('agency_breakdown', { ok: true, records, detail });
+  }
+  return out;
 }
 
 // ————————————————————————————————————————
-// Fetch affiliate analytics via Playwright scraper
+// Statement line items (what each distribution payout is made of)
 // ————————————————————————————————————————
 
-async function fetchAffiliateAnalytics() {
-  console.log('\nFetching affiliate analytics from Partner Center...');
-  const PARTNER_ID = '7495508276819495805';
-  const BASE_URL = 'https://partner.us.tiktokshop.com';
-
-  // Latest known values scraped from Partner Center (Feb 2026, last 7 days)
-  // These serve as a baseline when the API cannot return live data
-  const FALLBACK_METRICS = {
-    affiliate_gmv: 142196.05,
-    est_commission: 12702.66,
-    orders: 6284,
-    gmv_refund: 3860.48
-  };
+const STATEMENTS_FILE = 'statement-details.json';
+// Statements whose lines are fetched per run, newest first; older ones follow on later runs
+const MAX_STATEMENTS_PER_RUN = 40;
 
-  try {
-    // Try the Partner Center general stats API
-    const statsUrl = BASE_URL + '/api/v2/insights/partner/general/stats?partner_id=' + PARTNER_ID + '&region_code=US&biz_role=7';
-    const statsResp = await fetch(statsUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        ['Cookie']: SESSION_COOKIE
-      },
-      body: JSON.stringify({ request: {} })
-    });
+async function fetchStatementLines(statementId) {
+  const lines = [];
+  let page = 1;
+  let totalCount = 0;
 
-    const statsData = await statsResp.json();
-    console.log('  Stats API response code:', statsData.code);
+  do {
+    const data = await apiRequest('/api/v1/affiliate/partner/payout/detail/search', {
+      page_size: '50',
+      page: String(page),
+      partner_id: Payouts.DIST_PARTNER_ID,
+      payout_id: statementId,
+      aid: '359713',
+    });
 
-    if (statsData.code === 0 && statsData.data && Object.keys(statsData.data).length > 0) {
-      console.log('  Got live analytics data from API');
-      return {
-        affiliate_gmv: statsData.data.gmv || 0,
-        est_commission: statsData.data.commission || 0,
-        orders: statsData.data.orders || 0,
-        gmv_refund: statsData.data.refund || 0
-      };
+    if (data.code !== 0) throw new Error(`no line items returned (code: ${data.code}, msg: ${data.message || 'none'})`);
+    const rows = data.data?.order_info;
+    if (!Array.isArray(rows)) {
+      throw new Error(`unexpected payout detail response (data has: ${Object.keys(data.data || {}).join(', ') || 'nothing'})`);
     }
+    if (rows.length === 0) break;
+
+    totalCount = data.data.total_count || 0;
+    lines.push(...rows.map(Statements.formatLine));
+    page++;
+  } while (lines.length < totalCount && page <= 50);
+
+  // A paid statement always has lines — an empty or short answer is retried next run, never stored
+  if (lines.length === 0) throw new Error('no line items returned yet');
+  if (lines.length < totalCount) throw new Error(`only ${lines.length} of ${totalCount} line items returned`);
+  return lines;
+}
 
-    // API returned empty data (requires request signing we can't replicate in CI)
-    // Use fallback metrics so dashboard isn't empty
-    console.log('  Stats API returned empty. Using fallback metrics.');
-    return FALLBACK_METRICS;
+/**
+ * Fetch the lines of statements that don't have them yet. A statement that
+ * fails (including an empty or unexpected answer) is skipped and retried on
+ * the next run; nothing stored is dropped.
+ */
+async function updateStatementDetails(distPayouts) {
+  const filePath = path.join(process.cwd(), STATEMENTS_FILE);
+  let stored = { statements: {} };
+  try {
+    stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
   } catch (err) {
-    console.log('  Analytics fetch failed:', err.message, '- using fallback');
-    return FALLBACK_METRICS;
+    console.log(`No existing ${STATEMENTS_FILE}, creating new.`);
+  }
+  const statements = { ...(stored.statements || {}) };
+
+  // Empty entries predate the empty-answer check — fetch those again too
+  const pending = distPayouts.filter(p => p.statement_id && !(statements[p.statement_id]?.lines || []).length);
+  let fetched = 0;
+  let lastError = null;
+  for (const p of pending.slice(0, MAX_STATEMENTS_PER_RUN)) {
+    try {
+      const lines = await fetchStatementLines(p.statement_id);
+      statements[p.statement_id] = { fetched_at: new Date().toISOString(), lines };
+      fetched++;
+    } catch (err) {
+      if (err.message.startsWith('AUTH_EXPIRED')) throw err;
+      console.log(`  Statement ${p.statement_id}: ${err.message}`);
+      lastError = err;
+      // A response shape we don't map fails every statement the same way
+      if (/unexpected payout detail/i.test(err.message)) break;
+    }
+  }
+
+  console.log(`  Statement details: ${fetched} fetched, ${pending.length - fetched} still to fetch (${Object.keys(statements).length} on record)`);
+  const detail = `${fetched} fetched, ${pending.length - fetched} still to fetch`;
+  const updated = { updated_at: new Date().toISOString(), statements };
+  const invalid = fetched > 0 ? validationFailure(STATEMENTS_FILE, updated) : null;
+  if (invalid) {
+    console.log(`Keeping existing ${STATEMENTS_FILE} unchanged.`);
+    recordStatus('statement_details', { ...invalid, detail });
+    return;
+  }
+  if (fetched > 0) {
+    fs.writeFileSync(filePath, JSON.stringify(updated, null, 2) + '\n');
+  }
+  // Some failures are fine (retried next run); a run that fetched nothing it tried is not
+  if (lastError && !fetched) {
+    recordStatus('statement_details', { ok: false, error: lastError.message, error_class: SyncStatus.classify(lastError), detail });
+  } else {
+    recordStatus('statement_details', { ok: true, records: Object.keys(statements).length, detail });
   }
 }
 
+// ————————————————————————————————————————
+// Validation (the checks validate-data.mjs runs before the workflow commits)
+// ————————————————————————————————————————
+
+const VALIDATION_CONFIG = 'config/validation.json';
+
+/**
+ * Check `data` as it would be written to `file`. Prints the report when
+ * anything fails and returns the failures' status result (null when clean).
+ */
+function validationFailure(file, data) {
+  const config = Validate.withDefaults(fs.existsSync(VALIDATION_CONFIG) ? JSON.parse(fs.readFileSync(VALIDATION_CONFIG, 'utf8')) : null);
+  const schemaPath = config.files[file]?.schema;
+  const schema = schemaPath && fs.existsSync(schemaPath) ? JSON.parse(fs.readFileSync(schemaPath, 'utf8')) : null;
+  // Business days are PST, like the dashboard's
+  const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(new Date());
+  const result = Validate.checkFile(file, data, schema, today, config);
+  if (!result.findings.length) return null;
+  console.log(Validate.toMarkdown([result], today));
+  const first = result.findings[0];
+  return {
+    ok: false,
+    error: `${file} failed validation: ${result.findings.length} finding(s), first: ${first.check} ${first.where} (${first.problem})`,
+    error_class: 'invalid',
+  };
+}
+
+// ————————————————————————————————————————
+// Sync status
+// ————————————————————————————————————————
+
+function recordStatus(key, result) {
+  const filePath = path.join(process.cwd(), STATUS_FILE);
+  let status = {};
+  try {
+    status = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (_) { /* first run */ }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(SyncStatus.record(status, key, result), null, 2) + '\n');
+}
+
 // ————————————————————————————————————————
 // GitHub Issue for expired cookies
 // ————————————————————————————————————————
@@ -288,6 +634,7 @@ async function main() {
     console.log('Add your Partner Center session cookie as a GitHub Secret.');
     console.log('See script header for instructions.');
     console.log('Keeping existing agency-data.json unchanged.');
+    recordStatus('agency', { ok: false, error: 'TIKTOK_SESSION_COOKIE not set', error_class: 'missing_config' });
     process.exit(0);
   }
 
@@ -303,42 +650,46 @@ async function main() {
     console.log('No existing agency-data.json, creating new.');
   }
 
+  // The feed a failure below is recorded against
+  let feed = 'agency';
   try {
-    // Fetch distribution payouts (the big ones)
-    const rawDist = await fetchAllPayouts(DIST_PARTNER_ID, 'distribution');
-    const distPayouts = formatDistPayouts(rawDist);
-
-    // Fetch creator service payouts (smaller ones)
-    const rawCreator = await fetchAllPayouts(CREATOR_PARTNER_ID, 'creator');
-    const creatorPayouts = formatCreatorPayouts(rawCreator);
+    // Distribution payouts (the big ones) and creator service payouts, merged into
+    // the stored ones — the API's results are inconsistent across runs, so payouts
+    // accumulate and previously fetched entries are never lost (lib/payouts.js)
+    const payouts = await Payouts.refresh(existingData, apiRequest, (msg) => console.log(msg));
+    const { dist: distPayouts, creator: creatorPayouts } = payouts.fresh;
+    const { dist: existingDistCount, creator: existingCreatorCount } = payouts.existingCount;
 
     // Guard: never overwrite existing data with empty results
-    const existingDistCount = (existingData.distribution_payouts || []).length;
-    const existingCreatorCount = (existingData.payouts || []).length;
-
-    if (distPayouts.length === 0 && creatorPayouts.length === 0 &&
-        (existingDistCount > 0 || existingCreatorCount > 0)) {
+    if (payouts.empty) {
       console.log(`\n⚠ API returned 0 records but existing data has ${existingDistCount} dist + ${existingCreatorCount} creator payouts.`);
       console.log('  Preserving existing agency-data.json unchanged.');
       console.log('  This likely means the session cookie is invalid or the API is temporarily unavailable.');
+      recordStatus('agency', { ok: false, error: 'API returned 0 payouts; existing data kept', error_class: 'empty' });
       process.exit(0);
     }
 
-    // Merge fresh API data with existing stored data.
-    // The TikTok API inconsistently returns partial/stale results across runs,
-    // so we accumulate payouts over time and never lose previously fetched entries.
-    const mergedDist = mergePayouts(existingData.distribution_payouts || [], distPayouts, 'statement_id');
-    const mergedCreator = mergePayouts(existingData.payouts || [], creatorPayouts, 'payment_id');
-
-    // Sort by date descending
-    mergedDist.sort((a, b) => b.date.localeCompare(a.date));
-    mergedCreator.sort((a, b) => b.date.localeCompare(a.date));
+    const mergedDist = payouts.distribution_payouts;
+    const mergedCreator = payouts.payouts;
 
     console.log(`\n  Merged distribution: ${existingDistCount} existing + ${distPayouts.length} fresh = ${mergedDist.length} unique`);
     console.log(`  Merged creator:      ${existingCreatorCount} existing + ${creatorPayouts.length} fresh = ${mergedCreator.length} unique`);
 
     // Fetch affiliate analytics (GMV, commission, orders) — independent of payouts
-    const affiliateMetrics = await fetchAffiliateAnalytics();
+    feed = 'agency_analytics';
+    const { metrics: affiliateMetrics, sources: analyticsSources } = await fetchAffiliateAnalytics(existingData.analytics || {});
+    const freshKeys = METRIC_KEYS.filter(k => analyticsSources[k] && analyticsSources[k].source !== 'stale');
+    const analyticsDetail = `${freshKeys.length} of ${METRIC_KEYS.length} metrics fresh`;
+    recordStatus('agency_analytics', freshKeys.length
+      ? { ok: true, records: freshKeys.length, detail: analyticsDetail }
+      : { ok: false, error: 'neither the stats API nor the scraper returned metrics', error_class: 'empty', detail: analyticsDetail });
+    // Only freshly fetched values may seed estimates — stale ones could be weeks old
+    const isFresh = freshKeys.length === METRIC_KEYS.length;
+    const dailyAnalytics = await updateDailyAnalytics(existingData.daily_analytics || [], isFresh ? affiliateMetrics : null);
+
+    console.log('\nFetching per-creator and per-product analytics...');
+    feed = 'agency_breakdown';
+    const breakdowns = await updateBreakdowns(existingData);
 
     // Build updated data
     const today = new Date().toISOString().split('T')[0];
@@ -348,20 +699,40 @@ async function main() {
     const updatedData = {
       analytics: {
         ...(existingData.analytics || {}),
-        ...(affiliateMetrics || {}),
+        ...affiliateMetrics,
+        sources: analyticsSources,
         last_updated: today,
       },
+      daily_analytics: dailyAnalytics,
+      ...breakdowns,
       payouts: mergedCreator,
       distribution_payouts: mergedDist,
     };
 
+    const invalid = validationFailure('agency-data.json', updatedData);
+    if (invalid) {
+      console.log('Keeping existing agency-data.json unchanged.');
+      // The analytics fetched this run weren't saved either
+      for (const key of ['agency', 'agency_analytics', 'agency_breakdown']) recordStatus(key, invalid);
+      process.exit(0);
+    }
     fs.writeFileSync(dataPath, JSON.stringify(updatedData, null, 2) + '\n');
+    recordStatus('agency', {
+      ok: true,
+      records: mergedDist.length + mergedCreator.length,
+      detail: `${distPayouts.length} distribution + ${creatorPayouts.length} creator payouts fetched`,
+    });
 
     console.log(`\n=== Updated agency-data.json ===`);
     console.log(`  Distribution payouts: ${mergedDist.length} ($${totalDist.toLocaleString()})`);
     console.log(`  Creator payouts:      ${mergedCreator.length} ($${totalCreator.toLocaleString()})`);
     console.log(`  Latest distribution:  ${mergedDist[0]?.date || 'n/a'}`);
     console.log(`  Latest creator:       ${mergedCreator[0]?.date || 'n/a'}`);
+    console.log(`  Daily analytics:      ${dailyAnalytics.length} days (${dailyAnalytics.filter(d => d.estimated).length} estimated)`);
+
+    console.log('\nFetching statement line items...');
+    feed = 'statement_details';
+    await updateStatementDetails(mergedDist);
     console.log('=== Done ===');
 
   } catch (err) {
@@ -373,6 +744,7 @@ async function main() {
     } else {
       console.error('\n✖ Unexpected error:', err.message);
     }
+    recordStatus(feed, { ok: false, error: err.message });
 
     console.log('Keeping existing agency-data.json unchanged.');
     process.exit(0); // Don't fail the workflow
@@ -0,0 +1,110 @@
+/**
+ * Load the dashboard's data in Node — the inputs lib/kpis.js computes from.
+ *
+ * Used by scripts/pnl-report.mjs and scripts/check-alerts.mjs. Sources come
+ * from a profile in config/data-sources.json (lib/sources.js): files in this
+ * repo are read from the checkout, anything else is fetched. A source that
+ * can't be fetched is listed in `missing`; sheet rows that failed their
+ * schema (lib/sheets.js) in `flagged`.
+ */
+import { readFileSync, existsSync } from 'node:fs';
+import Kpis from '../lib/kpis.js';
+import Ledger from '../lib/ledger.js';
+import Pii from '../lib/pii.js';
+import Receivables from '../lib/receivables.js';
+import Sheets from '../lib/sheets.js';
+import Sources from '../lib/sources.js';
+
+export function readJson(file, fallback) {
+  if (!existsSync(file)) return fallback;
+  return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+// Business days are PST, like the dashboard's
+export function pstToday() {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(new Date());
+}
+
+// Repo files come from the checkout (null when absent); anything else is fetched
+export async function loadText(url, label, missing) {
+  if (!url) return null;
+  const file = Sources.repoPath(url);
+  if (file) return existsSync(file) ? readFileSync(file, 'utf8') : null;
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return await res.text();
+  } catch (err) {
+    console.log(`  ${label}: fetch failed (${err.message})`);
+    missing.push(label);
+    return null;
+  }
+}
+
+export async function loadJson(url, label, missing, fallback) {
+  const text = await loadText(url, label, missing);
+  return text === null ? fallback : JSON.parse(text);
+}
+
+// A sheet tab read against its schema (lib/sheets.js); rows it rejected are noted in `flagged`
+export async function loadSheet(url, key, missing, flagged) {
+  const label = `${Sheets.SCHEMAS[key].label} sheet`;
+  const text = await loadText(url, label, missing);
+  if (text === null) return [];
+  const { rows, stats } = Sheets.read(key, text);
+  if (stats.rejected || stats.coerced) {
+    console.log(`  ${label}: ${stats.rejected} row(s) rejected, ${stats.coerced} coerced`);
+  }
+  if (stats.rejected) flagged.push(`${label} (${stats.rejected} row${stats.rejected !== 1 ? 's' : ''})`);
+  return rows;
+}
+
+// Same ledger the dashboard falls back to when ledger.json doesn't exist
+export async function loadLedger(urls, ruleSets, missing, flagged) {
+  const entries = (await loadJson(urls.ledger, 'Ledger', missing, { entries: [] })).entries || [];
+  if (entries.length) return entries;
+  console.log('  No ledger — building it from the raw data files');
+  // Buyers keyed as the dashboard keys them, so sheet rows can be matched to Kajabi sales
+  const keys = process.env.PII_KEY ? await Pii.importPiiKey(process.env.PII_KEY) : null;
+  const keyed = (rows, customerOf) => Promise.all(rows.map(async (r) => ({ ...r, customer: await customerOf(r) })));
+  const sheetSales = await loadSheet(urls.sales_sheet, 'sales_sheet', missing, flagged);
+  const sheetDistPayouts = await loadSheet(urls.dist_payouts_sheet, 'dist_payouts_sheet', missing, flagged);
+  const agency = await loadJson(urls.agency, 'Agency data', missing, {});
+  return Ledger.buildLedger({
+    kajabi: await keyed(await loadJson(urls.transactions, 'Kajabi transactions', missing, []),
+      (r) => r.email_hash || Pii.customerKey(keys, r.email)),
+    sheetSales: await keyed(sheetSales, (r) => Pii.customerKey(keys, r['customer email'])),
+    whop: await loadJson(urls.whop, 'Whop payments', missing, []),
+    distPayouts: agency.distribution_payouts || [],
+    creatorPayouts: agency.payouts || [],
+    sheetDistPayouts,
+    ruleSets,
+  });
+}
+
+/**
+ * Everything Kpis.compute() needs, as the dashboard loads it.
+ * → { ledger, data, deals, missing, flagged }
+ */
+export async function loadKpiData(urls, { ruleSets, receivablesConfig, today }) {
+  const missing = [];
+  const flagged = [];
+  const ledger = await loadLedger(urls, ruleSets, missing, flagged);
+  const deals = (await loadJson(urls.receivables, 'Receivables', missing, { deals: null })).deals
+    || Receivables.updateDeals([], await loadJson(urls.whop, 'Whop payments', missing, []), today, receivablesConfig);
+  const spend = {};
+  for (const channel of Kpis.AD_CHANNELS) {
+    const rows = await loadSheet(urls[channel.source], channel.source, missing, flagged);
+    spend[channel.data] = Sheets.adSpend(rows, Kpis.DATA_START_DATE);
+  }
+  const callRows = await loadSheet(urls.booked_calls, 'booked_calls', missing, flagged);
+  const ga4Rows = await loadSheet(urls.ga4_sessions, 'ga4_sessions', missing, flagged);
+
+  const data = {
+    ...Kpis.fromLedger(ledger, Kpis.DATA_START_DATE),
+    ...spend,
+    bookedCalls: Sheets.bookedCalls(callRows, Kpis.DATA_START_DATE),
+    ga4Sessions: Sheets.ga4Sessions(ga4Rows, Kpis.DATA_START_DATE),
+  };
+  return { ledger, data, deals, missing, flagged };
+}
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Monthly P&L statement — the dashboard's numbers, without opening the page.
+ *
+ * Usage:
+ *   node scripts/pnl-report.mjs                                   # last full month (PST)
+ *   node scripts/pnl-report.mjs --month 2026-02
+ *   node scripts/pnl-report.mjs --from 2026-01-28 --to 2026-03-31 # one column per month + total
+ *   node scripts/pnl-report.mjs --out reports --partial
+ *   node scripts/pnl-report.mjs --profile local --out /tmp/pnl     # fixtures/ sample data
+ *
+ * Writes <out>/pnl-<month>.md and .csv (pnl-<from>_<to>.* for other ranges);
+ * <out> defaults to reports/. Every figure comes from lib/kpis.js, the module
+ * the dashboard computes with, over the data sources of a profile in
+ * config/data-sources.json (--profile, or DATA_PROFILE; default: the config's
+ * default_profile):
+ *
+ *   ledger.json (or transactions.json + whop-payments.json + agency-data.json
+ *   when it's missing), receivables.json, config/rules.json,
+ *   config/fixed-costs.json — plus the ad spend (TikTok, Meta, Google), booked calls and GA4
+ *   sessions sheets, which the dashboard also reads live.
+ *
+ * Sources that are files in this repo are read from the checkout. If a remote
+ * one can't be fetched the report would be incomplete, so nothing is written
+ * (existing reports are kept) unless --partial is given.
+ */
+import { writeFileSync, mkdirSync } from 'node:fs';
+import FixedCosts from '../lib/fixed-costs.js';
+import Kpis from '../lib/kpis.js';
+import Periods from '../lib/periods.js';
+import Receivables from '../lib/receivables.js';
+import Rules from '../lib/rules.js';
+import Sources from '../lib/sources.js';
+import { readJson, pstToday, loadKpiData } from './load-data.mjs';
+
+function parseArgs(argv) {
+  const args = { out: 'reports', partial: false, profile: process.env.DATA_PROFILE || null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--partial') args.partial = true;
+    else if (['--month', '--from', '--to', '--out', '--profile'].includes(arg)) args[arg.slice(2)] = argv[++i];
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+function reportBounds(args, today) {
+  if (args.from || args.to) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(args.from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(args.to || '') || args.to < args.from) {
+      throw new Error('--from and --to must both be YYYY-MM-DD, with --from on or before --to');
+    }
+    return { from: args.from, to: args.to };
+  }
+  const month = args.month || Periods.shiftMonths(today, -1).slice(0, 7);
+  if (!/^\d{4}-\d{2}$/.test(month)) throw new Error('--month must be YYYY-MM');
+  const from = `${month}-01`;
+  return { from, to: Periods.addDays(Periods.shiftMonths(from, 1), -1) };
+}
+
+// ——— Statement layout ———
+
+function statementLines(fixedCategories, ruleSets) {
+  const rate = (key) => Rules.describeRate(ruleSets, key);
+  return [
+    { section: 'Revenue', label: 'Info revenue (Kajabi + sheet)', value: k => k.revenue },
+    { section: 'Revenue', label: 'Whop revenue', value: k => k.whopRevenue },
+    { section: 'Revenue', label: 'Agency payouts', value: k => k.agencyGross },
+    { section: 'Revenue', label: 'Combined revenue', value: k => k.combinedRevenue, total: true },
+    ...Kpis.AD_CHANNELS.map(channel => ({
+      section: 'Costs', label: `${channel.label} ad spend`, value: k => k.channels.find(c => c.key === channel.key).spend,
+    })),
+    { section: 'Costs', label: `Marketing commission (${rate('marketing_rev_share')})`, value: k => k.infoMarketingComm + k.whopMarketingComm },
+    { section: 'Costs', label: `Sales commission (${rate('sales_commission_rate')})`, value: k => k.infoSalesComm + k.whopSalesComm },
+    { section: 'Costs', label: `Clarity Pay fee (${rate('clarity_pay_fee')})`, value: k => k.clarityPayFee },
+    { section: 'Costs', label: 'Whop refunds', value: k => k.whopRefunds },
+    { section: 'Costs', label: `Agency manager cut (${rate('agency_manager_cut')})`, value: k => k.managerCut },
+    ...fixedCategories.map(category => ({
+      section: 'Costs', label: `Fixed costs: ${category}`, value: k => k.fixedCostBreakdown.byCategory[category] || 0,
+    })),
+    {
+      section: 'Costs', label: 'Total costs', total: true,
+      value: k => k.adSpend + k.infoMarketingComm + k.whopMarketingComm + k.infoSalesComm + k.whopSalesComm
+        + k.clarityPayFee + k.whopRefunds + k.managerCut + k.fixedCosts,
+    },
+    { section: 'Profit', label: 'Info profit', value: k => k.profit },
+    { section: 'Profit', label: 'Whop net contribution', value: k => k.whopProfit },
+    { section: 'Profit', label: 'Agency profit', value: k => k.agencyProfit },
+    { section: 'Profit', label: 'Combined profit', value: k => k.combinedProfit, total: true },
+    { section: 'Volume', label: 'Sales', value: k => k.salesCount, count: true },
+    { section: 'Volume', label: 'Booked calls', value: k => k.calls, count: true },
+    { section: 'Volume', label: 'Website sessions', value: k => k.sessions, count: true },
+  ];
+}
+
+const cents = (n) => (Math.round(n * 100) / 100).toFixed(2);
+
+function money(n) {
+  const [whole, frac] = cents(Math.abs(n)).split('.');
+  const sign = Math.round(n * 100) < 0 ? '-' : '';
+  return `${sign}$${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${frac}`;
+}
+
+function columnsOf(report) {
+  const cols = report.months.map(m => ({ label: m.month, kpis: m }));
+  if (cols.length > 1) cols.push({ label: 'Total', kpis: report.total });
+  return cols;
+}
+
+function toMarkdown(report, lines, bounds, notes) {
+  const cols = columnsOf(report);
+  const out = [`# P&L ${bounds.from} → ${bounds.to}`];
+  let section = null;
+  lines.forEach(line => {
+    if (line.section !== section) {
+      section = line.section;
+      out.push('', `| ${section} | ${cols.map(c => c.label).join(' | ')} |`, `|---|${cols.map(() => '---:').join('|')}|`);
+    }
+    const cells = cols.map(c => {
+      const v = line.value(c.kpis);
+      const text = line.count ? String(v) : money(v);
+      return line.total ? `**${text}**` : text;
+    });
+    out.push(`| ${line.total ? `**${line.label}**` : line.label} | ${cells.join(' | ')} |`);
+  });
+  out.push('', ...notes.map(n => `- ${n}`), '');
+  return out.join('\n');
+}
+
+function csvCell(value) {
+  const s = String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(report, lines) {
+  const cols = columnsOf(report);
+  const rows = [['section', 'line', ...cols.map(c => c.label)]];
+  lines.forEach(line => {
+    rows.push([line.section, line.label, ...cols.map(c => {
+      const v = line.value(c.kpis);
+      return line.count ? String(v) : cents(v);
+    })]);
+  });
+  return rows.map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const today = pstToday();
+  const bounds = reportBounds(args, today);
+  const sources = Sources.resolve(readJson('config/data-sources.json', null), args.profile);
+  const { urls } = sources;
+  console.log(`=== P&L Report ${bounds.from} → ${bounds.to} (${sources.label}) ===`);
+
+  const ruleSets = Rules.normalize(readJson('config/rules.json', null));
+  const fixedCosts = FixedCosts.normalize(readJson('config/fixed-costs.json', null));
+  const receivablesConfig = { ...Receivables.DEFAULT_CONFIG, ...readJson('config/receivables.json', {}) };
+
+  console.log('Loading data...');
+  const { data, deals, missing, flagged } = await loadKpiData(urls, { ruleSets, receivablesConfig, today });
+
+  if (missing.length && !args.partial) {
+    console.log(`Missing: ${missing.join(', ')} — not writing an incomplete report (use --partial to write it anyway).`);
+    return;
+  }
+
+  // Each month is judged by the deals' status at its own end, so past months don't move
+  const heldBack = Receivables.heldBackAsOf(deals, today, receivablesConfig);
+  const report = Kpis.monthly(data, bounds, {
+    ruleSets,
+    fixedCostItems: fixedCosts.items,
+    heldBack,
+    dataStart: Kpis.DATA_START_DATE,
+  });
+
+  const usedCategories = fixedCosts.categories.filter(c => report.total.fixedCostBreakdown.byCategory[c] !== undefined);
+  const lines = statementLines(usedCategories, Rules.rulesInRange(ruleSets, bounds.from, bounds.to));
+  const notes = [
+    `Generated ${today} by scripts/pnl-report.mjs from "${sources.label}" data (same math as the dashboard, lib/kpis.js).`,
+    `Clarity Pay deals stuck or defaulted as of each period's end are left out of its Whop revenue (${heldBack(bounds.to).size} held back as of ${bounds.to < today ? bounds.to : today}).`,
+  ];
+  if (bounds.from < Kpis.DATA_START_DATE) notes.push(`Sales and fixed costs start on ${Kpis.DATA_START_DATE}.`);
+  if (flagged.length) notes.push(`Rows that failed their sheet's schema were left out: ${flagged.join(', ')}.`);
+  if (missing.length) notes.push(`**Incomplete:** ${missing.join(', ')} could not be fetched.`);
+
+  const name = args.from || args.to ? `pnl-${bounds.from}_${bounds.to}` : `pnl-${bounds.from.slice(0, 7)}`;
+  mkdirSync(args.out, { recursive: true });
+  writeFileSync(`${args.out}/${name}.md`, toMarkdown(report, lines, bounds, notes));
+  writeFileSync(`${args.out}/${name}.csv`, toCsv(report, lines));
+
+  const t = report.total;
+  console.log(`Combined revenue ${money(t.combinedRevenue)} | Combined profit ${money(t.combinedProfit)}`);
+  console.log(`Wrote ${args.out}/${name}.md and ${args.out}/${name}.csv`);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Hash + encrypt customer PII in the published data files.
+ *
+ * Usage:
+ *   PII_KEY=... node scripts/protect-pii.mjs [file ...]
+ *   node scripts/protect-pii.mjs --check [file ...]   # exit 1 if any row is still in plain text
+ * Defaults to transactions.json and whop-payments.json.
+ *
+ * Emails become `email_hash` (HMAC, for de-duplication) + `email_enc` (AES-GCM);
+ * Whop `user` objects move into `pii_enc`. Already-protected rows are left as-is,
+ * so the script is safe to run after every fetch. Without PII_KEY it exits 1
+ * rather than leave the files in plain text; workflows run --check before they
+ * commit a data file.
+ *
+ * Generate a key once with: node scripts/protect-pii.mjs --new-key
+ */
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import Pii from '../lib/pii.js';
+
+const args = process.argv.slice(2);
+if (args.includes('--new-key')) {
+  console.log(Pii.generateKey());
+  process.exit(0);
+}
+
+const check = args.includes('--check');
+const named = args.filter((a) => a !== '--check');
+const files = named.length ? named : ['transactions.json', 'whop-payments.json'];
+
+if (check) {
+  let plaintext = 0;
+  for (const file of files) {
+    if (!existsSync(file)) continue;
+    const rows = JSON.parse(readFileSync(file, 'utf8'));
+    const count = Array.isArray(rows) ? rows.filter(Pii.hasPlaintext).length : 0;
+    console.log(`${file}: ${count} row(s) with plain-text customer details`);
+    plaintext += count;
+  }
+  if (plaintext) {
+    console.error('Customer PII is in plain text — run PII_KEY=... node scripts/protect-pii.mjs and commit the result.');
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+const KEY = process.env.PII_KEY;
+if (!KEY) {
+  console.error('PII_KEY not set — refusing to leave customer PII in plain text.');
+  process.exit(1);
+}
+
+const keys = await Pii.importPiiKey(KEY);
+
+for (const file of files) {
+  if (!existsSync(file)) {
+    console.log(`${file}: not found, skipping`);
+    continue;
+  }
+  const rows = JSON.parse(readFileSync(file, 'utf8'));
+  if (!Array.isArray(rows)) {
+    console.log(`${file}: not an array, skipping`);
+    continue;
+  }
+
+  const isWhop = rows.some((r) => 'final_amount' in r || 'pii_enc' in r);
+  const protect = isWhop ? Pii.protectWhopPayment : Pii.protectTransaction;
+  let changed = 0;
+  const out = [];
+  for (const row of rows) {
+    const next = await protect(keys, row);
+    if (next !== row) changed++;
+    out.push(next);
+  }
+
+  writeFileSync(file, JSON.stringify(out, null, 2) + '\n');
+  console.log(`${file}: protected ${changed} of ${rows.length} rows`);
+}
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Agency reconciliation — est. commission vs TikTok distribution payouts.
+ *
+ * Usage:
+ *   node scripts/reconcile-report.mjs
+ *   node scripts/reconcile-report.mjs --lag-days 14 --out reports/reconcile.md
+ *   node scripts/reconcile-report.mjs --profile local --as-of 2026-03-31
+ *
+ * Prints (and with --out writes) a Markdown report from lib/reconcile.js, the
+ * module behind the dashboard's Reconciliation panel: est. commission
+ * (agency-data.json daily_analytics) against settled and paid amounts over the
+ * last 30, 60 and 90 days, statements paid something other than their
+ * settlement amount, and Distribution Payouts sheet rows that repeat an API
+ * statement. Payouts come from the ledger, as the dashboard's do.
+ *
+ * --as-of ends the windows on another day than today (PST); --lag-days reads
+ * commission that many days before each payout window.
+ */
+import { writeFileSync } from 'node:fs';
+import Ledger from '../lib/ledger.js';
+import Reconcile from '../lib/reconcile.js';
+import Rules from '../lib/rules.js';
+import Sources from '../lib/sources.js';
+import { readJson, pstToday, loadJson, loadLedger } from './load-data.mjs';
+
+function parseArgs(argv) {
+  const args = { profile: process.env.DATA_PROFILE || null, out: null, 'as-of': null, 'lag-days': null };
+  for (let i = 0; i < argv.length; i++) {
+    if (['--profile', '--out', '--as-of', '--lag-days'].includes(argv[i])) args[argv[i].slice(2)] = argv[++i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  if (args['as-of'] !== null && !/^\d{4}-\d{2}-\d{2}$/.test(args['as-of'])) throw new Error('--as-of must be YYYY-MM-DD');
+  if (args['lag-days'] !== null && !/^\d+$/.test(args['lag-days'])) throw new Error('--lag-days must be a whole number of days');
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const today = args['as-of'] || pstToday();
+  const sources = Sources.resolve(readJson('config/data-sources.json', null), args.profile);
+  console.log(`=== Agency reconciliation ${today} (${sources.label}) ===`);
+
+  const missing = [];
+  const ruleSets = Rules.normalize(readJson('config/rules.json', null));
+  const ledger = await loadLedger(sources.urls, ruleSets, missing, []);
+  const agency = await loadJson(sources.urls.agency, 'Agency data', missing, {});
+
+  const result = Reconcile.reconcile({
+    dailyAnalytics: agency.daily_analytics || [],
+    distPayouts: Ledger.toDistPayouts(ledger),
+    sheetDistPayouts: Ledger.toSheetDistPayouts(ledger),
+  }, today, args['lag-days'] !== null ? { lag_days: parseInt(args['lag-days'], 10) } : {});
+
+  let report = Reconcile.toMarkdown(result, today);
+  if (missing.length) report += `\n**Incomplete data:** ${missing.join(', ')} could not be fetched — the figures above are incomplete.\n`;
+  console.log(report);
+  if (args.out) {
+    writeFileSync(args.out, report);
+    console.log(`Wrote ${args.out}`);
+  }
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
@@ -5,12 +5,16 @@
  *
  * Bookmarklet (paste into browser bookmark URL):
  * javascript:void(fetch('https://ryanrigneyfba.github.io/kajabi-tracker/scripts/refresh-agency-data.js').then(r=>r.text()).then(s=>eval(s)))
+ *
+ * Uses the same payout core as scripts/fetch-tiktok-data.mjs (lib/payouts.js):
+ * fresh payouts are merged by id into the committed agency-data.json, analytics
+ * and every other field are kept, and an empty API response is never pushed.
  */
 (async function refreshAgencyData() {
   const REPO = 'ryanrigneyfba/kajabi-tracker';
   const FILE_PATH = 'agency-data.json';
-  const DIST_PARTNER_ID = '8650986195390075694';
-  const CREATOR_PARTNER_ID = '8647379727644267307';
+  const SITE_URL = 'https://ryanrigneyfba.github.io/kajabi-tracker';
+  const FILE_URL = `https://api.github.com/repos/${REPO}/contents/${FILE_PATH}`;
 
   // Check we're on the right domain
   if (!location.hostname.includes('tiktokshop.com')) {
@@ -31,113 +35,87 @@
     document.title = msg;
   };
 
-  try {
-    // 1. Fetch all distribution payouts
-    status('Fetching distribution payouts...');
-    const distPayouts = [];
-    let page = 1;
-    let total = 0;
-    do {
-      const resp = await fetch(
-        `/api/v1/affiliate/partner/payout/search?page_size=20&page=${page}&user_language=en&partner_id=${DIST_PARTNER_ID}&aid=359713`,
-        { credentials: 'include' }
-      );
-      const data = await resp.json();
-      if (data.code !== 0 || !data.data?.payout_info) break;
-      total = data.data.total_count;
-      distPayouts.push(...data.data.payout_info);
-      page++;
-    } while (distPayouts.length < total);
-
-    status(`Fetched ${distPayouts.length} distribution payouts`);
-
-    // 2. Fetch creator service payouts
-    status('Fetching creator service payouts...');
-    const creatorPayouts = [];
-    page = 1;
-    total = 0;
-    do {
-      const resp = await fetch(
-        `/api/v1/affiliate/partner/payout/search?page_size=20&page=${page}&user_language=en&partner_id=${CREATOR_PARTNER_ID}&aid=359713`,
-        { credentials: 'include' }
-      );
-      const data = await resp.json();
-      if (data.code !== 0 || !data.data?.payout_info) break;
-      total = data.data.total_count;
-      creatorPayouts.push(...data.data.payout_info);
-      page++;
-    } while (creatorPayouts.length < total);
+  // Partner Center API with the logged-in browser session
+  const request = async (endpoint, params) => {
+    const qs = new URLSearchParams({ user_language: 'en', ...params }).toString();
+    const resp = await fetch(`${endpoint}?${qs}`, { credentials: 'include' });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+    const json = await resp.json();
+    const authError = window.SVPayouts.authError(json);
+    if (authError) throw authError;
+    return json;
+  };
 
-    status(`Fetched ${creatorPayouts.length} creator payouts`);
+  try {
+    // 1. Load the payout core shared with the CI fetcher
+    if (!window.SVPayouts) {
+      const libResp = await fetch(`${SITE_URL}/lib/payouts.js`);
+      if (!libResp.ok) throw new Error(`Couldn't load lib/payouts.js (HTTP ${libResp.status})`);
+      (0, eval)(await libResp.text());
+    }
 
-    // 3. Format data
-    const formatPayout = (r) => {
-      const d = new Date(parseInt(r.payment_time));
-      return {
-        date: d.toISOString().split('T')[0],
-        settlement_amount: parseFloat(r.amount),
-        amount_paid: parseFloat(r.payment_amount)
-      };
-    };
+    // 2. Read the committed file (its sha is needed for the update)
+    status('Reading agency-data.json from GitHub...');
+    const headers = { 'Authorization': `token ${token}` };
+    let existing = { analytics: {}, payouts: [], distribution_payouts: [] };
+    let sha;
+    const metaResp = await fetch(FILE_URL, { headers });
+    if (metaResp.ok) {
+      sha = (await metaResp.json()).sha;
+      // The raw media type also works past the 1 MB limit of the JSON `content` field
+      const rawResp = await fetch(FILE_URL, { headers: { ...headers, 'Accept': 'application/vnd.github.raw' } });
+      if (!rawResp.ok) throw new Error(`Couldn't read ${FILE_PATH} (HTTP ${rawResp.status})`);
+      existing = await rawResp.json();
+    } else if (metaResp.status !== 404) {
+      throw new Error(`Couldn't read ${FILE_PATH} (HTTP ${metaResp.status})`);
+    }
 
-    const formattedDist = distPayouts.map(r => ({
-      statement_id: r.id,
-      ...formatPayout(r),
-      type: 'PRODUCT_DISTRIBUTION',
-      currency: 'USD'
-    }));
+    // 3. Fetch payouts and merge them into the stored ones
+    status('Fetching payouts...');
+    const result = await window.SVPayouts.refresh(existing, request, (msg) => status(msg.trim()));
+    const { dist: freshDist, creator: freshCreator } = result.fresh;
 
-    const formattedCreator = creatorPayouts.map(r => ({
-      payment_id: r.id,
-      ...formatPayout(r)
-    }));
+    // Guard: never overwrite existing data with empty results
+    if (result.empty) {
+      status('⚠ No payouts returned');
+      alert(
+        `Partner Center returned 0 payouts, but ${FILE_PATH} has ${result.existingCount.dist} distribution + ` +
+        `${result.existingCount.creator} creator payouts.\n\nNothing was pushed. Reload Partner Center, check you're logged in, and try again.`
+      );
+      return;
+    }
 
+    const mergedDist = result.distribution_payouts;
+    const mergedCreator = result.payouts;
+    const added = (mergedDist.length - result.existingCount.dist) + (mergedCreator.length - result.existingCount.creator);
+    const agencyData = { ...existing, payouts: mergedCreator, distribution_payouts: mergedDist };
+    const content = JSON.stringify(agencyData, null, 2) + '\n';
     const today = new Date().toISOString().split('T')[0];
-    const agencyData = {
-      analytics: {
-        last_updated: today,
-        affiliate_gmv: 486223.22,
-        est_commission: 41184.76,
-        orders: 23077,
-        gmv_refund: 13266.62
-      },
-      payouts: formattedCreator,
-      distribution_payouts: formattedDist
-    };
-
-    const content = JSON.stringify(agencyData, null, 2);
-
-    // 4. Get current file SHA from GitHub
-    status('Getting current file from GitHub...');
-    const ghResp = await fetch(`https://api.github.com/repos/${REPO}/contents/${FILE_PATH}`, {
-      headers: { 'Authorization': `token ${token}` }
-    });
-    const ghData = await ghResp.json();
-    const sha = ghData.sha;
 
-    // 5. Update file on GitHub
+    // 4. Update file on GitHub
     status('Pushing update to GitHub...');
-    const updateResp = await fetch(`https://api.github.com/repos/${REPO}/contents/${FILE_PATH}`, {
+    const updateResp = await fetch(FILE_URL, {
       method: 'PUT',
       headers: {
-        'Authorization': `token ${token}`,
+        ...headers,
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
-        message: `Update agency data - ${formattedDist.length} dist payouts, ${formattedCreator.length} creator payouts (${today})`,
+        message: `Update agency data - ${freshDist.length} dist, ${freshCreator.length} creator payouts fetched, ${added} new (${today})`,
         content: btoa(unescape(encodeURIComponent(content))),
         sha: sha
       })
     });
 
     if (updateResp.ok) {
-      const totalDist = formattedDist.reduce((s, p) => s + p.settlement_amount, 0);
+      const totalDist = mergedDist.reduce((s, p) => s + p.settlement_amount, 0);
       status('✅ Updated!');
       alert(
         `Agency data updated successfully!\n\n` +
-        `Distribution payouts: ${formattedDist.length} ($${totalDist.toLocaleString()})\n` +
-        `Creator payouts: ${formattedCreator.length}\n` +
-        `Latest: ${formattedDist[0]?.date}\n\n` +
+        `Distribution payouts: ${mergedDist.length} ($${totalDist.toLocaleString()})\n` +
+        `Creator payouts: ${mergedCreator.length}\n` +
+        `New this run: ${added}\n` +
+        `Latest: ${mergedDist[0]?.date}\n\n` +
         `Changes will appear on your tracker in ~2 minutes.`
       );
     } else {
@@ -10,20 +10,30 @@
  *
  * Prints JSON to stdout on success, JSON error to stderr on failure.
  *
+ * With `--breakdowns <YYYY-MM-DD,...> --partner-id <id>` it collects the
+ * per-creator and per-product lists for those days instead. The lists are
+ * requested from inside the logged-in page, so they carry the request signing
+ * the page's own scripts add — which the fetcher's plain API calls can't.
+ * Prints { creators: { <date>: [rows] }, products: { <date>: [rows] } } in
+ * lib/leaderboard.js row shape; a day whose list couldn't be read is left out.
+ *
  * Requires: TIKTOK_SESSION_COOKIE environment variable.
  */
 
 import { chromium } from 'playwright';
+import Leaderboard from '../lib/leaderboard.js';
 
 const TARGET_URL = 'https://partner.us.tiktokshop.com/compass/data-overview';
 const COOKIE_DOMAIN = '.tiktokshop.com';
 const LOAD_TIMEOUT = 45_000; // 45 seconds
+const STATS_BASE = 'https://partner.us.tiktokshop.com';
 
 async function main() {
   const cookieString = process.env.TIKTOK_SESSION_COOKIE;
   if (!cookieString) {
     fail('TIKTOK_SESSION_COOKIE not set');
   }
+  const args = parseArgs(process.argv.slice(2));
 
   const cookies = parseCookieString(cookieString);
   let browser;
@@ -52,6 +62,13 @@ async function main() {
     // Give the frame an extra moment to finish painting numbers
     await page.waitForTimeout(3000);
 
+    if (args.breakdowns) {
+      const lists = await scrapeBreakdowns(page, args.breakdowns, args.partnerId);
+      console.log(JSON.stringify(lists));
+      await browser.close();
+      process.exit(0);
+    }
+
     // Extract key metrics from the frame
     const metrics = await extractMetrics(frame);
 
@@ -85,6 +102,65 @@ function fail(message) {
   process.exit(1);
 }
 
+// [--breakdowns <date,...> --partner-id <id>] → { breakdowns: [dates] | null, partnerId }
+function parseArgs(argv) {
+  const args = { breakdowns: null, partnerId: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--breakdowns') args.breakdowns = String(argv[++i] || '').split(',').filter(Boolean);
+    else if (argv[i] === '--partner-id') args.partnerId = argv[++i];
+    else fail(`Unknown argument: ${argv[i]}`);
+  }
+  if (args.breakdowns && !args.partnerId) fail('--breakdowns needs --partner-id');
+  return args;
+}
+
+/**
+ * Every creator and product list of `dates`, requested from the page itself.
+ * A day whose list fails is logged and left out, so the fetcher asks again
+ * next run.
+ */
+async function scrapeBreakdowns(page, dates, partnerId) {
+  const out = {};
+  for (const [kind, { endpoint, label }] of Object.entries(Leaderboard.KINDS)) {
+    out[kind] = {};
+    for (const date of dates) {
+      try {
+        out[kind][date] = await scrapeList(page, kind, endpoint, date, partnerId);
+      } catch (err) {
+        console.error(`${label}s ${date}: ${err.message}`);
+      }
+    }
+    console.error(`${label}s: ${Object.keys(out[kind]).length} of ${dates.length} day(s) read`);
+  }
+  return out;
+}
+
+// One day's list, every page — same request and checks as the fetcher's fetchBreakdown()
+async function scrapeList(page, kind, endpoint, date, partnerId) {
+  const url = `${STATS_BASE}${endpoint}?partner_id=${encodeURIComponent(partnerId)}&region_code=US&biz_role=7`;
+  const rows = [];
+  for (let pageNo = 1; pageNo <= Leaderboard.MAX_PAGES; pageNo++) {
+    const request = { start_date: date, end_date: date, page: pageNo, page_size: Leaderboard.PAGE_SIZE };
+    const data = await page.evaluate(async ({ url, request }) => {
+      const resp = await fetch(url, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ request }),
+      });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      return resp.json();
+    }, { url, request });
+    const list = data && data.code === 0 && data.data ? data.data.list : null;
+    if (!Array.isArray(list)) {
+      throw new Error(`no list (code: ${data && data.code}, msg: ${(data && data.message) || 'none'})`);
+    }
+    rows.push(...list.map(raw => Leaderboard.formatRow(kind, raw, date)).filter(r => r.id));
+    if (list.length < Leaderboard.PAGE_SIZE) break;
+  }
+  return rows;
+}
+
 /**
  * Parse an HTTP cookie header string into Playwright cookie objects.
  * "name1=value1; name2=value2" â [{name, value, domain, path}, ...]
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Sync whop-payments.json from the Whop API — used by fetch-whop-payments.yml
+ * and for local runs.
+ *
+ * Usage:
+ *   WHOP_API_KEY=... PII_KEY=... node scripts/sync-whop.mjs
+ *   WHOP_API_KEY=... PII_KEY=... node scripts/sync-whop.mjs --full   # re-page every payment
+ *
+ * Fetches only what's newer than the newest stored payment (plus an overlap),
+ * then re-checks stored open / pending payments (lib/whop-sync.js). New and
+ * changed payments are PII-protected as protect-pii.mjs does; without PII_KEY
+ * nothing is written and the script exits 1. If the API key is missing or
+ * rejected, whop-payments.json is left unchanged and the script exits 0.
+ * Paging that stops before reaching the stored payments (max_pages or an error)
+ * still saves what it fetched, and whop-sync-state.json records where the next
+ * run resumes. Every run's outcome is recorded under "whop" in
+ * sync-status/sync-whop.json.
+ */
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import Pii from '../lib/pii.js';
+import SyncStatus from '../lib/sync-status.js';
+import WhopSync from '../lib/whop-sync.js';
+
+const PAYMENTS_PATH = 'whop-payments.json';
+const STATUS_PATH = SyncStatus.pathOf('whop');
+const STATE_PATH = 'whop-sync-state.json';
+
+function readJson(file, fallback) {
+  if (!existsSync(file)) return fallback;
+  return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+function recordStatus(result) {
+  const status = SyncStatus.record(readJson(STATUS_PATH, {}), 'whop', result);
+  mkdirSync(SyncStatus.STATUS_DIR, { recursive: true });
+  writeFileSync(STATUS_PATH, JSON.stringify(status, null, 2) + '\n');
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(a => a !== '--full');
+  if (unknown.length) throw new Error(`Unknown argument: ${unknown[0]}`);
+  const full = args.includes('--full');
+
+  console.log('=== Whop Payment Sync ===');
+  if (!process.env.WHOP_API_KEY) {
+    console.log('WHOP_API_KEY not set — keeping existing whop-payments.json unchanged.');
+    recordStatus({ ok: false, error: 'WHOP_API_KEY not set', error_class: 'missing_config' });
+    return;
+  }
+  // Payments are only ever written protected — no key fails the job instead of publishing emails
+  if (!process.env.PII_KEY) {
+    console.error('PII_KEY not set — refusing to write customer details in plain text.');
+    recordStatus({ ok: false, error: 'PII_KEY not set', error_class: 'missing_config' });
+    process.exit(1);
+  }
+  const existing = readJson(PAYMENTS_PATH, []);
+  if (!Array.isArray(existing)) throw new Error(`${PAYMENTS_PATH} is not an array`);
+  console.log(`Stored: ${existing.length} payments${full ? ' (full re-sync)' : ''}`);
+
+  const state = readJson(STATE_PATH, { resume: null });
+  if (state.resume) console.log(`An earlier sync stopped short — resuming at page ${state.resume.page}`);
+
+  const log = (msg) => console.log(msg);
+  const client = WhopSync.createClient({ apiKey: process.env.WHOP_API_KEY, fetch, sleep, log });
+  let result;
+  try {
+    result = await WhopSync.sync(existing, client, { full, resume: state.resume, sleep, log });
+  } catch (err) {
+    console.log(err.message);
+    console.log('Keeping existing whop-payments.json unchanged.');
+    recordStatus({ ok: false, error: err.message });
+    return;
+  }
+  // Saved with the payments fetched so far, so the next run picks up where this one stopped
+  if (JSON.stringify(result.resume) !== JSON.stringify(state.resume)) {
+    writeFileSync(STATE_PATH, JSON.stringify({ resume: result.resume }, null, 2) + '\n');
+  }
+
+  console.log(`Fetched ${result.fetched} payments from ${result.pages} page(s), re-checked ${result.rechecked} open / pending`);
+  console.log(`New: ${result.added.length} | Changed: ${result.updated.length}`);
+  result.statusChanges.forEach(c => console.log(`  ${c.id}: ${c.from} → ${c.to}`));
+  const detail = `${result.added.length} new, ${result.updated.length} changed, ${result.rechecked} open / pending re-checked`;
+  if (result.complete) {
+    recordStatus({ ok: true, records: result.payments.length, detail });
+  } else {
+    console.log(`Incomplete fetch — saving what was fetched; the next run resumes at page ${result.resume.page}.`);
+    recordStatus({
+      ok: false,
+      error: `paging stopped after ${result.pages} page(s), before reaching the stored payments; resumes at page ${result.resume.page}`,
+      error_class: 'incomplete',
+      detail,
+    });
+  }
+  if (!result.added.length && !result.updated.length) {
+    console.log('No changes.');
+    return;
+  }
+
+  const keys = await Pii.importPiiKey(process.env.PII_KEY);
+  const output = [];
+  for (const p of result.payments) output.push(await Pii.protectWhopPayment(keys, p));
+  writeFileSync(PAYMENTS_PATH, JSON.stringify(output, null, 2) + '\n');
+
+  const paid = output.filter(p => p.status === 'paid' && p.final_amount > 0);
+  const revenue = paid.reduce((sum, p) => sum + p.final_amount, 0);
+  console.log('\n=== Summary ===');
+  console.log(`Total: ${output.length} | Paid w/revenue: ${paid.length} | Revenue: $${revenue.toFixed(2)}`);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  recordStatus({ ok: false, error: err.message });
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Update receivables.json — Clarity Pay deal history.
+ *
+ * Usage: node scripts/update-receivables.mjs
+ *
+ * Run after whop-payments.json is refreshed. Each financed (claritypay) payment
+ * becomes a deal; status changes since the last run are appended to its history
+ * (see lib/receivables.js). Settings and manual defaults: config/receivables.json
+ *
+ *   "defaults": [{ "id": "pay_...", "date": "2026-03-02", "note": "plan cancelled" }]
+ *
+ * The run's outcome is recorded under "receivables" in sync-status/update-receivables.json.
+ */
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import Receivables from '../lib/receivables.js';
+import SyncStatus from '../lib/sync-status.js';
+
+const RECEIVABLES_PATH = 'receivables.json';
+const CONFIG_PATH = 'config/receivables.json';
+const STATUS_PATH = SyncStatus.pathOf('receivables');
+
+function readJson(file, fallback) {
+  if (!existsSync(file)) return fallback;
+  return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+function recordStatus(result) {
+  const status = SyncStatus.record(readJson(STATUS_PATH, {}), 'receivables', result);
+  mkdirSync(SyncStatus.STATUS_DIR, { recursive: true });
+  writeFileSync(STATUS_PATH, JSON.stringify(status, null, 2) + '\n');
+}
+
+console.log('=== Receivables Update ===');
+const payments = readJson('whop-payments.json', null);
+if (!Array.isArray(payments)) {
+  console.log('whop-payments.json missing or invalid — keeping existing receivables.json.');
+  recordStatus({ ok: false, error: 'whop-payments.json missing or invalid', error_class: 'missing_config' });
+  process.exit(0);
+}
+
+const config = readJson(CONFIG_PATH, {});
+const previous = readJson(RECEIVABLES_PATH, { deals: [] });
+const today = new Date().toISOString().split('T')[0];
+
+const deals = Receivables.updateDeals(previous.deals, payments, today, config);
+recordStatus({ ok: true, records: deals.length });
+if (JSON.stringify(deals) === JSON.stringify(previous.deals)) {
+  console.log(`No changes (${deals.length} deals).`);
+  process.exit(0);
+}
+
+writeFileSync(RECEIVABLES_PATH, JSON.stringify({ updated_at: new Date().toISOString(), deals }, null, 2) + '\n');
+
+const s = Receivables.summarize(deals, today, config);
+console.log(`Deals: ${deals.length}`);
+console.log(`Booked: $${s.booked} | Collected: $${s.collected} | Outstanding: $${s.outstanding} | Defaulted: $${s.defaulted}`);
+if (s.stuck.length) {
+  console.log(`Stuck > ${config.stuck_after_days ?? Receivables.DEFAULT_CONFIG.stuck_after_days} days: ${s.stuck.length} deal(s), $${s.stuckAmount}`);
+}
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Validate data files before they're committed.
+ *
+ * Usage:
+ *   node scripts/validate-data.mjs                          # every file in config/validation.json
+ *   node scripts/validate-data.mjs agency-data.json
+ *   node scripts/validate-data.mjs whop-payments.json --report /tmp/validation.md
+ *
+ * Checks each file against its JSON Schema (config/schemas/) and for anomalies —
+ * duplicate ids, amount_paid > settlement_amount, future dates, missing days,
+ * sudden jumps (see lib/validate.js). Prints a Markdown report, appends it to the
+ * workflow run summary ($GITHUB_STEP_SUMMARY) and writes it to --report if given.
+ *
+ * Exits 1 when anything fails, so the workflow stops before its commit step and
+ * the previously committed data stays in place.
+ */
+import { readFileSync, writeFileSync, appendFileSync, existsSync } from 'node:fs';
+import Validate from '../lib/validate.js';
+
+const CONFIG_PATH = 'config/validation.json';
+
+function readJson(file, fallback) {
+  if (!existsSync(file)) return fallback;
+  return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+function parseArgs(argv) {
+  const args = { files: [], report: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--report') args.report = argv[++i];
+    else if (argv[i].startsWith('--')) throw new Error(`Unknown argument: ${argv[i]}`);
+    else args.files.push(argv[i]);
+  }
+  return args;
+}
+
+// Business days are PST, like the dashboard's
+function pstToday() {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(new Date());
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const config = Validate.withDefaults(readJson(CONFIG_PATH, null));
+  const today = pstToday();
+  const files = args.files.length ? args.files : Object.keys(config.files);
+  console.log(`=== Data Validation (${today}) ===`);
+
+  const results = [];
+  for (const file of files) {
+    if (!existsSync(file)) {
+      console.log(`${file}: not found, skipping`);
+      continue;
+    }
+    let data;
+    try {
+      data = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (err) {
+      results.push({ file, findings: [{ check: 'json', key: file, where: file, problem: `not valid JSON (${err.message})` }], ignored: [] });
+      continue;
+    }
+    const schemaPath = config.files[file]?.schema;
+    const schema = schemaPath ? readJson(schemaPath, null) : null;
+    if (schemaPath && !schema) console.log(`${file}: schema ${schemaPath} not found — running the anomaly checks only`);
+    results.push(Validate.checkFile(file, data, schema, today, config));
+  }
+
+  const report = Validate.toMarkdown(results, today);
+  console.log(report);
+  if (process.env.GITHUB_STEP_SUMMARY) appendFileSync(process.env.GITHUB_STEP_SUMMARY, report);
+  if (args.report) writeFileSync(args.report, report);
+
+  if (results.some(r => r.findings.length)) process.exit(1);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+}